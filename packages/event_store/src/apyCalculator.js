@@ -0,0 +1,179 @@
+const { BigNumber } = require('@ethersproject/bignumber');
+
+const YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const RATIO_DECIMALS = 18;
+
+/**
+ * Ratio of two integer amounts, given as strings or BigNumbers, computed in integers to
+ * 18 decimals so that the amounts above the safe integer range aren't rounded
+ */
+const ratio = (numerator, denominator) => {
+    const scaled = BigNumber.from(numerator).mul(BigNumber.from(10).pow(RATIO_DECIMALS)).div(denominator);
+
+    return Number(scaled.toString()) / Math.pow(10, RATIO_DECIMALS);
+};
+
+/**
+ * Realized staking yield over a trailing window of the ended eras. The yield of an era is
+ * the rewards paid at its end divided by the weight staked in it, the yields are compounded
+ * and scaled to a year by the actual durations of the eras.
+ *
+ * The first stored era is never part of the window, as its start is not known.
+ */
+class ApyCalculator {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Ended eras of the window, oldest first, with their start and end
+     */
+    async getWindow(eraCount) {
+        const eras = (await this.storage.findLatestEndedEras(eraCount)).reverse();
+
+        const window = [];
+        for (let i = 1; i < eras.length; i++) {
+            const previous = eras[i - 1];
+            if (previous.id !== eras[i].id - 1 || !previous.endTimestamp || !eras[i].endTimestamp) {
+                continue;
+            }
+
+            window.push({
+                eraId: eras[i].id,
+                start: previous.endTimestamp,
+                end: eras[i].endTimestamp,
+                duration: eras[i].endTimestamp - previous.endTimestamp,
+            });
+        }
+
+        return window;
+    }
+
+    /**
+     * Null when none of the eras has a yield
+     */
+    annualize(eraYields, field = 'yield') {
+        const known = eraYields.filter(eraYield => eraYield[field] !== null && eraYield.duration > 0);
+        if (known.length === 0) {
+            return null;
+        }
+
+        let growth = 1;
+        let duration = 0;
+        for (let eraYield of known) {
+            growth *= 1 + eraYield[field];
+            duration += eraYield.duration;
+        }
+
+        return Math.pow(growth, YEAR / duration) - 1;
+    }
+
+    summarize(window, eraYields) {
+        return {
+            fromEra: window.length > 0 ? window[0].eraId : null,
+            toEra: window.length > 0 ? window[window.length - 1].eraId : null,
+            apy: this.annualize(eraYields),
+            eras: eraYields,
+        };
+    }
+
+    async getNetworkApy(eraCount) {
+        const window = await this.getWindow(eraCount);
+        const eras = await this.storage.getEraRewardsAndWeights(window.map(era => era.eraId));
+
+        return this.summarize(window, window.map(era => ({
+            eraId: era.eraId,
+            duration: era.duration,
+            yield: BigNumber.from(eras[era.eraId].weight).gt(0) ? ratio(eras[era.eraId].rewards, eras[era.eraId].weight) : null,
+        })));
+    }
+
+    /**
+     * Gross yield of the validator's weight, and the net yield of its delegators after the
+     * delegation rate. The rate of an era is the one of the latest bid before its end, or of
+     * the first known bid. Null when the validator wasn't in any era of the window.
+     */
+    async getValidatorApy(publicKey, eraCount) {
+        const window = await this.getWindow(eraCount);
+        const eras = await this.storage.getEraRewardsAndWeights(window.map(era => era.eraId), publicKey);
+
+        const validatorWindow = window.filter(era => BigNumber.from(eras[era.eraId].weight).gt(0));
+        if (validatorWindow.length === 0) {
+            return null;
+        }
+
+        const bids = await this.storage.findValidatorDelegationRates(publicKey, validatorWindow[validatorWindow.length - 1].end);
+        const getDelegationRate = (era) => {
+            const bid = bids.filter(bid => bid.timestamp <= era.end).pop() || bids[0];
+
+            return bid ? bid.delegationRate : null;
+        };
+
+        const eraYields = validatorWindow.map(era => {
+            const delegationRate = getDelegationRate(era);
+            const grossYield = ratio(eras[era.eraId].rewards, eras[era.eraId].weight);
+
+            return {
+                eraId: era.eraId,
+                duration: era.duration,
+                delegationRate,
+                yield: grossYield,
+                netYield: delegationRate !== null ? grossYield * (1 - delegationRate / 100) : null,
+            };
+        });
+
+        return {
+            publicKey,
+            delegationRate: eraYields[eraYields.length - 1].delegationRate,
+            ...this.summarize(validatorWindow, eraYields),
+            netApy: this.annualize(eraYields, 'netYield'),
+        };
+    }
+
+    /**
+     * Yield of the delegator's stake with the validator. The stake of an era is the one after the
+     * latest change of the delegation before the era, plus the rewards of the eras since then.
+     * Eras, that the stake isn't known for, e.g. delegated before the first stored bid, are left out.
+     */
+    async getDelegatorApy(delegatorPublicKey, validatorPublicKey, eraCount) {
+        const window = await this.getWindow(eraCount);
+        const criteria = { delegatorPublicKey, validatorPublicKey };
+
+        const changes = (await this.storage.findDelegationHistory(criteria)).rows.reverse();
+        const rewards = (await this.storage.findDelegatorRewards({ publicKey: delegatorPublicKey, validatorPublicKey })).rows;
+
+        const eraYields = [];
+        for (let era of window) {
+            const change = changes.filter(change => change.timestamp < era.start).pop();
+            if (!change) {
+                continue;
+            }
+
+            let stake = BigNumber.from(String(change.stakedAmount));
+            for (let reward of rewards) {
+                if (reward.eraId < era.eraId && reward.timestamp && reward.timestamp > change.timestamp) {
+                    stake = stake.add(String(reward.amount));
+                }
+            }
+
+            if (stake.lte(0)) {
+                continue;
+            }
+
+            const reward = rewards.find(reward => reward.eraId === era.eraId);
+            eraYields.push({
+                eraId: era.eraId,
+                duration: era.duration,
+                yield: reward ? ratio(String(reward.amount), stake) : 0,
+            });
+        }
+
+        return {
+            publicKey: delegatorPublicKey,
+            validatorPublicKey,
+            ...this.summarize(eraYields, eraYields),
+        };
+    }
+}
+
+module.exports = ApyCalculator;
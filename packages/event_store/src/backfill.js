@@ -0,0 +1,125 @@
+/**
+ * Fills the history, that the node event stream doesn't hold any more, by reading the
+ * blocks and their deploys over RPC and storing the BlockAdded and DeployProcessed events
+ * the node would have sent for them, like the live ones: the raw events along with the
+ * rows derived from them, so the backfilled blocks can be reindexed too.
+ *
+ * Every block is stored in a single transaction along with its deploys, so an interrupted
+ * run can simply be started again - the blocks, that are already stored, are skipped.
+ */
+class Backfill {
+    constructor(storage, casperClient, options = {}) {
+        this.storage = storage;
+        this.casperClient = casperClient;
+        this.options = {
+            delay: 0,
+            ...options
+        };
+
+        this.apiVersion = null;
+        this.sourceNodes = {};
+    }
+
+    async run(fromHeight, toHeight) {
+        console.log(`Info: Backfilling blocks ${fromHeight} - ${toHeight}`);
+
+        // The era end format depends on the version of the node, not on the version of the block
+        this.apiVersion = await this.storage.findApiVersionByVersionOrCreate(await this.casperClient.getApiVersion());
+
+        let stored = 0;
+        let skipped = 0;
+        for (let height = fromHeight; height <= toHeight; height++) {
+            if (await this.storage.findBlockByHeight(height)) {
+                skipped++;
+                continue;
+            }
+
+            await this.backfillBlock(height);
+            stored++;
+
+            if (this.options.delay) {
+                // Trying to not go over the RPC requests limit of the node
+                await new Promise(resolve => setTimeout(resolve, this.options.delay));
+            }
+        }
+
+        console.log(`Info: Backfill done. Stored ${stored} blocks, skipped ${skipped} blocks that were already stored`);
+
+        return { stored, skipped };
+    }
+
+    async backfillBlock(height) {
+        const block = await this.casperClient.getBlockByHeight(height);
+
+        console.log(`Info: Backfilling block ${height}. BlockHash: ${block.hash}`);
+
+        // Everything is fetched up front to keep the transaction short
+        const deploys = [];
+        for (let deployHash of block.body.deploy_hashes.concat(block.body.transfer_hashes)) {
+            deploys.push(await this.getDeploy(deployHash, block.hash));
+        }
+
+        const blockEvent = { BlockAdded: { block_hash: block.hash, block } };
+        const nodeData = await this.storage.fetchNodeData(blockEvent);
+        const sourceNode = await this.getSourceNode(this.casperClient.nodeAddress);
+
+        await this.storage.transaction(async (transaction) => {
+            for (let { event, body } of deploys) {
+                await this.storage.onEvent(sourceNode.id, this.apiVersion, JSON.stringify({ DeployProcessed: event }), transaction, {
+                    deployBody: body,
+                });
+            }
+
+            await this.storage.onEvent(sourceNode.id, this.apiVersion, JSON.stringify(blockEvent), transaction, nodeData);
+        });
+
+        await this.checkTransfers(block.hash);
+    }
+
+    /**
+     * The node, that served the block, is recorded as the source of its events
+     */
+    async getSourceNode(address) {
+        if (!this.sourceNodes[address]) {
+            this.sourceNodes[address] = await this.storage.findSourceNodeByAddressOrCreate(address);
+        }
+
+        return this.sourceNodes[address];
+    }
+
+    /**
+     * Returns the body of the deploy and the DeployProcessed event the node would have sent for it
+     */
+    async getDeploy(deployHash, blockHash) {
+        const { deploy, execution_results } = await this.casperClient.getDeploy(deployHash);
+
+        const executionResult = execution_results.find(result => result.block_hash === blockHash);
+        if (!executionResult) {
+            throw new Error(`Deploy ${deployHash} has no execution result in block ${blockHash}`);
+        }
+
+        return {
+            event: {
+                deploy_hash: deploy.hash,
+                account: deploy.header.account,
+                timestamp: deploy.header.timestamp,
+                ttl: deploy.header.ttl,
+                dependencies: deploy.header.dependencies,
+                block_hash: blockHash,
+                execution_result: executionResult.result,
+            },
+            body: deploy,
+        };
+    }
+
+    async checkTransfers(blockHash) {
+        const transfers = await this.casperClient.getBlockTransfers(blockHash);
+        const { count } = await this.storage.findTransfers({ blockHash }, 1, 0);
+
+        if (count !== transfers.length) {
+            console.warn(`Warning: Block ${blockHash} has ${transfers.length} transfers, but ${count} are stored`);
+        }
+    }
+}
+
+module.exports = Backfill;
@@ -0,0 +1,30 @@
+const Backfill = require('../backfill');
+const { createCasperClient, createStorage } = require('../storageFactory');
+const models = require('../models/index');
+
+// Usage: NODE_ADDRESS=xxx.xxx.xxx.xxx node src/bin/backfill.js <fromHeight> <toHeight>
+async function backfill() {
+    const fromHeight = parseInt(process.argv[2]);
+    const toHeight = parseInt(process.argv[3]);
+
+    if (isNaN(fromHeight) || isNaN(toHeight) || fromHeight > toHeight) {
+        console.error('Error: Usage: node src/bin/backfill.js <fromHeight> <toHeight>');
+        process.exit(1);
+    }
+
+    const casperClient = createCasperClient();
+    const storage = await createStorage(models, casperClient);
+
+    const backfill = new Backfill(storage, casperClient, {
+        delay: process.env.BACKFILL_DELAY ? parseInt(process.env.BACKFILL_DELAY) : 0,
+    });
+
+    await backfill.run(fromHeight, toHeight);
+}
+
+backfill().then(() => {
+    process.exit(0);
+}).catch(err => {
+    console.error(err);
+    process.exit(1);
+});
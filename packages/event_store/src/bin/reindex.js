@@ -0,0 +1,87 @@
+const Reindexer = require('../reindexer');
+const { createCasperClient, createStorage } = require('../storageFactory');
+const models = require('../models/index');
+
+const usage = 'Usage: node src/bin/reindex.js [--tables=Bid,Withdrawal] [--from-height=<int>] [--to-height=<int>] ' +
+    '[--from-era=<int>] [--to-era=<int>] [--chunk-size=<int>]\n' +
+    'The values can also be given after a space, e.g. --tables Account\n' +
+    `Available tables: ${Reindexer.TABLES.join(', ')} and the models of the custom transform handlers. All of them are rebuilt by default.`;
+
+// Accepts both `--name=value` and `--name value`
+function parseArguments(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = args[i].match(/^--([a-z-]+)(?:=(.+))?$/);
+        if (!match) {
+            throw new Error(`Unknown argument ${args[i]}`);
+        }
+
+        let value = match[2];
+        if (value === undefined) {
+            if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+                throw new Error(`--${match[1]} needs a value`);
+            }
+            value = args[++i];
+        }
+
+        options[match[1]] = value;
+    }
+
+    const toInt = (name) => {
+        if (options[name] === undefined) {
+            return null;
+        }
+
+        const value = parseInt(options[name]);
+        if (isNaN(value)) {
+            throw new Error(`--${name} has to be a number`);
+        }
+
+        return value;
+    };
+
+    return {
+        tables: options['tables'] ? options['tables'].split(',').map(table => table.trim()) : null,
+        chunkSize: toInt('chunk-size') || 100,
+        range: {
+            fromHeight: toInt('from-height'),
+            toHeight: toInt('to-height'),
+            fromEra: toInt('from-era'),
+            toEra: toInt('to-era'),
+        },
+    };
+}
+
+async function reindex() {
+    if (process.argv.includes('--help')) {
+        console.log(usage);
+        process.exit(0);
+    }
+
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}\n${usage}`);
+        process.exit(1);
+    }
+
+    // The rewards are not part of the raw events and have to be fetched from the node
+    const casperClient = createCasperClient();
+    const storage = await createStorage(models, casperClient);
+
+    const reindexer = new Reindexer(storage, {
+        // All the tables, including the ones of the custom transform handlers, by default
+        ...(options.tables ? { tables: options.tables } : {}),
+        chunkSize: options.chunkSize,
+    });
+
+    await reindexer.run(options.range);
+}
+
+reindex().then(() => {
+    process.exit(0);
+}).catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -1,23 +1,52 @@
 const got = require('got');
 
 class CasperClient {
-    constructor(nodeAddress) {
-        this.nodeAddress = nodeAddress;
-        this.rpcUrl = 'http://' + this.nodeAddress + ':7777/rpc';
+    /**
+     * Accepts a single node address or a list of them. If a node can't be reached or doesn't
+     * respond within the timeout (in ms) the request is retried with the next one.
+     */
+    constructor(nodeAddresses, rpcPort = 7777, timeout = 30000) {
+        this.nodeAddresses = [].concat(nodeAddresses);
+        this.rpcPort = rpcPort;
+        this.timeout = timeout;
+        this.currentNode = 0;
         this.requestId = 1;
     }
 
+    // The node the requests currently go to
+    get nodeAddress() {
+        return this.nodeAddresses[this.currentNode];
+    }
+
+    get rpcUrl() {
+        return 'http://' + this.nodeAddress + ':' + this.rpcPort + '/rpc';
+    }
+
     async makeRpcRequest(method, params) {
-        const response = await got.post(
-            this.rpcUrl, {
-                json: {
-                    jsonrpc: "2.0",
-                    id: this.requestId++,
-                    method,
-                    params
-                },
-                responseType: 'json'
-            });
+        let response;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                response = await got.post(
+                    this.rpcUrl, {
+                        json: {
+                            jsonrpc: "2.0",
+                            id: this.requestId++,
+                            method,
+                            params
+                        },
+                        responseType: 'json',
+                        timeout: this.timeout,
+                    });
+                break;
+            } catch (err) {
+                if (attempt >= this.nodeAddresses.length) {
+                    throw err;
+                }
+
+                console.warn(`Warning: RPC request to ${this.rpcUrl} failed, switching to the next node: ${err.message}`);
+                this.currentNode = (this.currentNode + 1) % this.nodeAddresses.length;
+            }
+        }
 
         if (response.body.error) {
             throw new Error(response.body.error.message);
@@ -42,6 +71,56 @@ class CasperClient {
         return response.result.block;
     }
 
+    async getBlockByHeight(height) {
+        const response = await this.makeRpcRequest('chain_get_block', {
+            block_identifier: {
+                Height: height
+            },
+        });
+
+        return response.result.block;
+    }
+
+    async getBlockTransfers(blockHash) {
+        const response = await this.makeRpcRequest('chain_get_block_transfers', {
+            block_identifier: {
+                Hash: blockHash
+            },
+        });
+
+        return response.result.transfers;
+    }
+
+    /**
+     * Returns the deploy along with its execution results
+     */
+    async getDeploy(deployHash) {
+        const response = await this.makeRpcRequest('info_get_deploy', {
+            deploy_hash: deployHash,
+        });
+
+        return response.result;
+    }
+
+    async getApiVersion() {
+        const response = await this.makeRpcRequest('info_get_status');
+
+        return response.result.api_version;
+    }
+
+    /**
+     * Bids and the validator weights of the upcoming eras as of the block
+     */
+    async getAuctionInfo(blockHeight) {
+        const response = await this.makeRpcRequest('state_get_auction_info', {
+            block_identifier: {
+                Height: blockHeight
+            },
+        });
+
+        return response.result.auction_state;
+    }
+
     async getStoredValue(stateRootHash, key) {
         const response = await this.makeRpcRequest('state_get_item', {
             state_root_hash: stateRootHash,
@@ -51,6 +130,20 @@ class CasperClient {
         return response.result.stored_value;
     }
 
+    async getAccountMainPurse(stateRootHash, accountHash) {
+        const storedValue = await this.getStoredValue(stateRootHash, 'account-hash-' + accountHash);
+
+        return storedValue.Account.main_purse;
+    }
+
+    async getBalance(stateRootHash, purseUref) {
+        const response = await this.makeRpcRequest('state_get_balance', {
+            state_root_hash: stateRootHash,
+            purse_uref: purseUref
+        });
+
+        return response.result.balance_value;
+    }
 }
 
 module.exports = CasperClient;
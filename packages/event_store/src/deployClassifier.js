@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const TransformHandlerRegistry = require('./transformHandlerRegistry');
+
+// Effects, that confirm the call of the auction entry point, any contract can have an entry point called `delegate`
+const auctionEntryPointTransforms = {
+    delegate: ['WriteBid'],
+    undelegate: ['WriteWithdraw', 'WriteUnbonding'],
+    redelegate: ['WriteWithdraw', 'WriteUnbonding'],
+    add_bid: ['WriteBid'],
+    withdraw_bid: ['WriteWithdraw', 'WriteUnbonding'],
+};
+
+/**
+ * Tags a deploy with what it does, based on its session (taken from the deploy body) and
+ * the effects of its execution:
+ * - native_transfer - Transfer session
+ * - wasm_transfer - module bytes making transfers
+ * - delegate, undelegate, redelegate, add_bid, withdraw_bid - calls of the auction contract
+ *   entry points, either stored or by the wasm sent with the deploy, confirmed by their effects
+ * - contract_install - module bytes writing a contract
+ * - contract_call - other calls of the stored contracts
+ * - other - module bytes doing anything else
+ *
+ * Module bytes are recognized by their sha256 hash when it's listed in `knownWasmHashes`,
+ * e.g. `{"<hash of delegate.wasm>": "delegate"}`, otherwise by their args and effects.
+ * Deploys, whose body isn't known, are only recognized by their effects and get null at worst.
+ */
+class DeployClassifier {
+    constructor(options = {}) {
+        this.options = {
+            knownWasmHashes: {},
+            ...options
+        };
+    }
+
+    classify(event, deploy) {
+        const result = event.execution_result.Success;
+        const transformTypes = result
+            ? result.effect.transforms.map(TransformHandlerRegistry.getTransformType)
+            : [];
+
+        if (!deploy || !deploy.session) {
+            return transformTypes.includes('WriteContract') ? 'contract_install' : null;
+        }
+
+        const sessionType = Object.keys(deploy.session)[0];
+        const session = deploy.session[sessionType];
+
+        if (sessionType === 'Transfer') {
+            return 'native_transfer';
+        }
+
+        if (sessionType !== 'ModuleBytes') {
+            const auctionTransforms = auctionEntryPointTransforms.hasOwnProperty(session.entry_point)
+                ? auctionEntryPointTransforms[session.entry_point]
+                : [];
+
+            return auctionTransforms.some(transformType => transformTypes.includes(transformType))
+                ? session.entry_point
+                : 'contract_call';
+        }
+
+        const knownType = this.options.knownWasmHashes[this.hashModuleBytes(session.module_bytes)];
+        if (knownType) {
+            return knownType;
+        }
+
+        if (transformTypes.includes('WriteContract')) {
+            return 'contract_install';
+        }
+
+        const auctionType = this.classifyAuctionArgs((session.args || []).map(([name]) => name), transformTypes);
+        if (auctionType) {
+            return auctionType;
+        }
+
+        if (result && result.transfers.length > 0) {
+            return 'wasm_transfer';
+        }
+
+        return 'other';
+    }
+
+    /**
+     * The auction wasm takes the same args as the entry point it calls
+     */
+    classifyAuctionArgs(argNames, transformTypes) {
+        const unbonds = transformTypes.includes('WriteWithdraw') || transformTypes.includes('WriteUnbonding');
+        const bids = transformTypes.includes('WriteBid');
+
+        if (argNames.includes('delegator') && argNames.includes('validator')) {
+            if (argNames.includes('new_validator')) {
+                return 'redelegate';
+            }
+
+            if (unbonds) {
+                return 'undelegate';
+            }
+
+            return bids ? 'delegate' : null;
+        }
+
+        if (argNames.includes('public_key') && argNames.includes('amount')) {
+            if (argNames.includes('delegation_rate')) {
+                return 'add_bid';
+            }
+
+            return unbonds ? 'withdraw_bid' : null;
+        }
+
+        return null;
+    }
+
+    hashModuleBytes(moduleBytes) {
+        return crypto.createHash('sha256').update(Buffer.from(moduleBytes || '', 'hex')).digest('hex');
+    }
+}
+
+module.exports = DeployClassifier;
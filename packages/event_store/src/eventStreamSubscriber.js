@@ -0,0 +1,325 @@
+const got = require('got');
+const { Writable } = require('stream');
+
+const SseParser = require('./sseParser');
+const IngestionQueue = require('./ingestionQueue');
+
+class EventStreamSubscriber {
+    constructor(storage, sourceNode, eventStream, options) {
+        this.storage = storage;
+        this.sourceNode = sourceNode;
+        this.eventStream = eventStream;
+        this.options = {
+            protocol: 'http',
+            port: null,
+            reconnectMinDelay: 1000,
+            reconnectMaxDelay: 60000,
+            stallTimeout: 90000,
+            eventAttempts: 3,
+            eventRetryDelay: 1000,
+            ingestion: {},
+            ...options
+        };
+
+        this.stopped = false;
+        this.currentStream = null;
+        this.wakeUp = null;
+    }
+
+    get name() {
+        return `${this.sourceNode.address}/${this.eventStream.path}`;
+    }
+
+    formUrl(lastEventId) {
+        const { protocol, port } = this.options;
+        const path = this.eventStream.path;
+
+        const url = protocol + '://' + this.sourceNode.address +
+            (port ? ':' + port : '') +
+            (path ? '/' + path : '');
+
+        if (false === lastEventId) {
+            console.log(`Info: [${this.name}] Not catching up. Reading event stream from now for the version prefetch request.`);
+            return url;
+        }
+
+        const forceStartFromNodeId = process.env[`NEW_NODE_START_FROM_EVENT_ID_${this.sourceNode.address.replace(/\./g, '_')}`];
+        if (lastEventId === null && forceStartFromNodeId) {
+            console.log(`Info: [${this.name}] Catching up from event provided in the force start from event id configuration ${forceStartFromNodeId}`);
+            return url + '?start_from=' + forceStartFromNodeId;
+        }
+
+        // start_from is inclusive and the stored event id is committed with its data, so resume right after it
+        const startFromEventId = lastEventId
+            ? parseInt(lastEventId.id) + 1
+            : 0;
+
+        console.log(`Info: [${this.name}] Catching up from event id ${startFromEventId}`);
+
+        return url + '?start_from=' + startFromEventId;
+    }
+
+    /**
+     * Exponential backoff with "equal jitter": the delay is at least half of the
+     * exponential step, so that consecutive attempts never collapse into a storm
+     */
+    getReconnectDelay(attempt) {
+        const { reconnectMinDelay, reconnectMaxDelay } = this.options;
+        const step = Math.min(reconnectMaxDelay, reconnectMinDelay * Math.pow(2, attempt));
+
+        return Math.round(step / 2 + Math.random() * step / 2);
+    }
+
+    async start() {
+        let attempt = 0;
+
+        while (!this.stopped) {
+            try {
+                console.log(`Info: [${this.name}] Connecting to the event stream`);
+                const apiVersion = await this.prefetchApiVersion();
+                const lastEventId = await this.storage.getLastEventId(this.sourceNode.id, apiVersion.id, this.eventStream.id);
+
+                await this.consume(apiVersion, lastEventId, () => {
+                    attempt = 0;
+                });
+
+                if (!this.stopped) {
+                    console.warn(`Warning: [${this.name}] Event stream was closed by the node`);
+                }
+            } catch (err) {
+                if (!this.stopped) {
+                    console.error(`Error: [${this.name}] Event stream connection failed - check the status of the node: ${err.message}`);
+                }
+            }
+
+            if (this.stopped) {
+                break;
+            }
+
+            const delay = this.getReconnectDelay(attempt++);
+            console.log(`Info: [${this.name}] Reconnecting in ${delay} ms (attempt ${attempt})`);
+            await this.sleep(delay);
+        }
+
+        console.log(`Info: [${this.name}] Stopped`);
+    }
+
+    stop() {
+        this.stopped = true;
+
+        if (this.currentStream) {
+            this.currentStream.destroy();
+        }
+
+        if (this.wakeUp) {
+            this.wakeUp();
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).then(() => {
+            this.wakeUp = null;
+        });
+    }
+
+    async prefetchApiVersion() {
+        console.log(`Info: [${this.name}] Pre-fetching protocol version`);
+
+        let apiVersionVersion = null;
+
+        const reading = this.readStream(this.formUrl(false), (record, stream) => {
+            if (apiVersionVersion !== null) {
+                return;
+            }
+
+            const firstEvent = JSON.parse(record.data);
+            if (!firstEvent.ApiVersion) {
+                stream.destroy(new Error('First event is not ApiVersion'));
+                return;
+            }
+
+            apiVersionVersion = firstEvent.ApiVersion;
+            stream.destroy();
+        });
+
+        try {
+            await reading;
+        } catch (err) {
+            // Aborting the prefetch request on purpose is not a failure
+            if (apiVersionVersion === null) {
+                throw err;
+            }
+        }
+
+        if (apiVersionVersion === null) {
+            throw new Error('Event stream closed before sending the protocol version');
+        }
+
+        console.log(`Info: [${this.name}] Protocol version is ${apiVersionVersion}`);
+
+        return await this.storage.findApiVersionByVersionOrCreate(apiVersionVersion);
+    }
+
+    async consume(apiVersion, lastEventId, onConnected) {
+        const queue = new IngestionQueue({
+            ...this.options.ingestion,
+            onCheckpoint: (id) => this.storage.onEventId(this.sourceNode.id, apiVersion.id, this.eventStream.id, id),
+        });
+        let connected = false;
+
+        try {
+            await this.readStream(this.formUrl(lastEventId), async (record) => {
+                if (!connected) {
+                    connected = true;
+                    console.log(`Info: [${this.name}] Connected, receiving events`);
+                    onConnected();
+                }
+
+                const eventType = getEventType(record.data);
+                await queue.push(
+                    eventType,
+                    (getCheckpoint) => this.storeEvent(apiVersion, eventType, record, getCheckpoint),
+                    // Events without an id (like the leading ApiVersion) are not checkpointed
+                    record.id
+                );
+            });
+
+            await queue.drain();
+        } catch (err) {
+            // Let the events, that are already being stored, settle before reconnecting
+            await queue.drain().catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * An event, that fails to be stored, is tried again a few times. If it still fails, it's kept
+     * in the FailedEvents table and skipped, so one bad event doesn't stop the stream. Only when
+     * even that fails, e.g. the database is down, the queue fails and the stream reconnects.
+     */
+    async storeEvent(apiVersion, eventType, record, getCheckpoint) {
+        const { eventAttempts, eventRetryDelay } = this.options;
+
+        let error;
+        for (let attempt = 1; attempt <= eventAttempts; attempt++) {
+            try {
+                await this.storage.onStreamEvent(this.sourceNode.id, apiVersion, this.eventStream.id, record.data, getCheckpoint);
+                return;
+            } catch (err) {
+                error = err;
+                console.log(`Error: Error while processing an event (attempt ${attempt} of ${eventAttempts}).\nEvent id: ${record.id}\nEvent: ${record.data}\nError: ${err}`);
+            }
+
+            if (attempt < eventAttempts && !this.stopped) {
+                await new Promise(resolve => setTimeout(resolve, eventRetryDelay * attempt));
+            }
+        }
+
+        console.error(`Error: [${this.name}] Skipping event id ${record.id} after ${eventAttempts} failed attempts, it's kept in FailedEvents`);
+        await this.storage.onFailedEvent(this.sourceNode.id, apiVersion, this.eventStream.id, record.id, eventType, record.data, error, getCheckpoint);
+    }
+
+    /**
+     * Resolves when the stream is closed and all its events are handed over to `onEvent`.
+     * Rejects when the connection fails or stalls, i.e. neither data nor keepalive arrive
+     * within the stall timeout, or when `onEvent` fails.
+     *
+     * The next event is not read until the promise returned by `onEvent` resolves, so a slow
+     * consumer pauses the HTTP stream instead of buffering it in memory.
+     */
+    readStream(url, onEvent) {
+        return new Promise((resolve, reject) => {
+            const stream = got.stream(url);
+            this.currentStream = stream;
+
+            let stallTimer = null;
+            let ended = false;
+            let finished = false;
+
+            const resetStallTimer = () => {
+                clearTimeout(stallTimer);
+                if (finished) {
+                    return;
+                }
+
+                stallTimer = setTimeout(() => {
+                    console.warn(`Warning: [${this.name}] No data or keepalive received for ${this.options.stallTimeout} ms, the stream is stalled`);
+                    stream.destroy(new Error('Event stream stalled'));
+                }, this.options.stallTimeout);
+            };
+
+            const finish = (err) => {
+                if (finished) {
+                    return;
+                }
+
+                finished = true;
+                clearTimeout(stallTimer);
+                this.currentStream = null;
+
+                if (err) {
+                    stream.destroy();
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            };
+
+            const parser = new SseParser();
+            parser.on('retry', reconnectionTime => {
+                console.log(`Info: [${this.name}] Node suggested a reconnection time of ${reconnectionTime} ms`);
+            });
+            parser.on('error', finish);
+
+            const consumer = new Writable({
+                objectMode: true,
+                highWaterMark: 1,
+                write: (record, encoding, callback) => {
+                    // The node is not the one to blame while we are waiting for the storage
+                    clearTimeout(stallTimer);
+
+                    Promise.resolve(onEvent(record, stream)).then(() => {
+                        resetStallTimer();
+                        callback();
+                    }, callback);
+                }
+            });
+            consumer.on('error', finish);
+            consumer.on('finish', () => finish());
+
+            stream.on('data', resetStallTimer);
+            stream.on('error', finish);
+            stream.on('end', () => {
+                ended = true;
+            });
+            stream.on('close', () => {
+                // Destroyed before the end, e.g. when stopped. Otherwise the consumer finishes the job
+                if (!ended) {
+                    finish();
+                }
+            });
+
+            stream.pipe(parser).pipe(consumer);
+
+            resetStallTimer();
+        });
+    }
+}
+
+/**
+ * Avoids parsing the whole, potentially megabytes long, body just to learn the event type.
+ * Events without a payload, like Shutdown, are sent as bare strings.
+ */
+function getEventType(jsonBody) {
+    const match = /^\s*(?:\{\s*)?"(\w+)"/.exec(jsonBody);
+
+    return match ? match[1] : 'Unknown';
+}
+
+module.exports = EventStreamSubscriber;
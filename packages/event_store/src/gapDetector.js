@@ -0,0 +1,88 @@
+/**
+ * Looks for holes in the stored blocks: missing heights and blocks, whose parentHash
+ * doesn't point at the stored block below them. The heights below the lowest stored block
+ * only count with the `fromGenesis` option.
+ *
+ * When started with a Backfill, the missing heights are refetched from the node over RPC.
+ */
+class GapDetector {
+    constructor(storage, backfill = null, options = {}) {
+        this.storage = storage;
+        this.backfill = backfill;
+        this.options = {
+            interval: 600000,
+            fromGenesis: false,
+            ...options
+        };
+
+        this.timer = null;
+        this.checking = null;
+    }
+
+    async scan() {
+        const gaps = await this.storage.findBlockHeightGaps(this.options.fromGenesis);
+        const brokenParentHashLinks = await this.storage.findBrokenParentHashLinks();
+
+        return {
+            gaps,
+            missingBlockCount: gaps.reduce((count, gap) => count + gap.toHeight - gap.fromHeight + 1, 0),
+            brokenParentHashLinks,
+        };
+    }
+
+    /**
+     * The result is stored for /status/gaps, so the scan doesn't run on the requests
+     */
+    async check() {
+        const result = await this.scan();
+        await this.storage.storeGapScan(result);
+
+        if (result.gaps.length === 0 && result.brokenParentHashLinks.length === 0) {
+            console.log('Info: No gaps in the stored blocks');
+            return result;
+        }
+
+        console.warn(`Warning: ${result.missingBlockCount} blocks are missing in ${result.gaps.length} gaps, ${result.brokenParentHashLinks.length} blocks have a broken parent hash link`);
+
+        if (this.backfill) {
+            for (let gap of result.gaps) {
+                console.log(`Info: Refetching the missing blocks ${gap.fromHeight} - ${gap.toHeight}`);
+                await this.backfill.run(gap.fromHeight, gap.toHeight);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * The first check runs right away, so /status/gaps has a result before the first interval ends
+     */
+    start() {
+        this.runCheck();
+        this.timer = setInterval(() => this.runCheck(), this.options.interval);
+    }
+
+    runCheck() {
+        // A long refetch shouldn't overlap with the next check
+        if (this.checking) {
+            return this.checking;
+        }
+
+        this.checking = this.check().catch(err => {
+            console.error(`Error: Gap check failed: ${err.message}`);
+        }).then(() => {
+            this.checking = null;
+        });
+
+        return this.checking;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = GapDetector;
@@ -3,19 +3,37 @@ const paginate = require('express-paginate');
 const cors = require('cors');
 const Storage = require('./storage');
 const CasperClient = require('./casperClient');
+const ApyCalculator = require('./apyCalculator');
+const { createCasperClient, getUnbondingDelay } = require('./storageFactory');
 const { BigNumber } = require('@ethersproject/bignumber');
 const { formatDate } = require('./utility');
 
 let httpServer = (models) => {
     const app = express();
     const storage = new Storage(models);
+    storage.setUnbondingDelay(getUnbondingDelay());
+
+    // Fraction of the era weight, that has to sign a block, the fault tolerance threshold by default
+    let finalityThreshold = (process.env.FINALITY_THRESHOLD || '1/3').split('/').map(Number);
+    if (finalityThreshold.length !== 2 || !finalityThreshold.every(Number.isInteger) || finalityThreshold[1] <= 0) {
+        console.warn(`Warning: Invalid FINALITY_THRESHOLD "${process.env.FINALITY_THRESHOLD}", using 1/3`);
+        finalityThreshold = [1, 3];
+    }
+
+    // Blocks below the threshold are only looked for among the latest heights
+    const finalityWindow = parseInt(process.env.FINALITY_WINDOW) || 10000;
 
     const sendPreparedPaginatedResponse = async (req, res, paginatedResult, asRawJson = false) => {
         const itemCount = paginatedResult.count;
         const pageCount = Math.ceil(paginatedResult.count / req.query.limit);
 
+        // Rows of raw queries come as plain objects
         const jsonRecords = await Promise.all(paginatedResult.rows.map(row => {
-            return asRawJson ? row.dataValues : row.toJSON();
+            if (asRawJson) {
+                return row.dataValues ? row.dataValues : row;
+            }
+
+            return row.toJSON();
         }));
 
         if (req.query.with_amounts_in_currency_id && paginatedResult.rows.length > 0) {
@@ -135,6 +153,15 @@ let httpServer = (models) => {
         }
     });
 
+    app.get('/blocks/below-finality-threshold', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findBlocksBelowFinalityThreshold(
+            finalityThreshold,
+            finalityWindow,
+            req.query.limit,
+            req.skip
+        ), true);
+    });
+
     app.get([
         '/blocks/:blockHash',
     ], async (req, res, next) => {
@@ -147,6 +174,15 @@ let httpServer = (models) => {
         }
     });
 
+    app.get('/blocks/:blockHash/finality', async (req, res, next) => {
+        const finality = await storage.findBlockFinality(req.params.blockHash, finalityThreshold);
+        if (finality === null) {
+            res.status(404).send({error: {message: "Block not found."}});
+        } else {
+            res.send({data: finality});
+        }
+    });
+
     app.get('/blocks/:blockHash/deploys', async (req, res, next) => {
         await sendPreparedPaginatedResponse(req, res, await storage.getDeploys(
             {
@@ -209,6 +245,16 @@ let httpServer = (models) => {
         }
     });
 
+    app.get('/deploys/pending', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findPendingDeploys(
+            req.query,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
     app.get([
         '/deploys/:deployHash',
     ], async (req, res, next) => {
@@ -229,6 +275,15 @@ let httpServer = (models) => {
         }
     });
 
+    app.get('/deploys/:deployHash/status', async (req, res, next) => {
+        const status = await storage.findDeployStatus(req.params.deployHash);
+        if (status === null) {
+            res.status(404).send({error: {message: "Deploy not found."}});
+        } else {
+            res.send({data: status});
+        }
+    });
+
     app.get('/deploys/:deployHash/transfers', async (req, res, next) => {
         await sendPreparedPaginatedResponse(req, res, await storage.findTransfers(
             {
@@ -242,15 +297,46 @@ let httpServer = (models) => {
         ));
     });
 
-    // Accounts
+    // Accounts can be given by the public key or by the account hash
+    app.param('account', async (req, res, next, id) => {
+        try {
+            req.account = await storage.findAccountById(id);
+        } catch (err) {
+            next(err);
+            return;
+        }
+
+        if (!req.account) {
+            res.status(400).send({error: {message: "Invalid account. Expected a public key or an account hash."}});
+            return;
+        }
+
+        next();
+    });
+
+    app.get('/accounts/:account', async (req, res, next) => {
+        if (!req.account.publicKey) {
+            res.status(404).send({error: {message: "Account not found."}});
+            return;
+        }
+
+        res.send({data: req.account});
+    });
+
     app.get([
         '/accountDeploys/:account', // @deprecated
         '/accounts/:account/deploys',
     ], async (req, res, next) => {
+        // Deploys are stored by the public key, nothing was deployed by an account, that hasn't been seen
+        if (!req.account.publicKey) {
+            await sendPreparedPaginatedResponse(req, res, { count: 0, rows: [] });
+            return;
+        }
+
         await sendPreparedPaginatedResponse(req, res, await storage.getDeploys(
             {
                 ...req.query,
-                account: req.params.account
+                account: req.account.publicKey
             },
             req.query.limit,
             req.skip,
@@ -259,11 +345,11 @@ let httpServer = (models) => {
         ));
     });
 
-    app.get('/accounts/:accountHash/transfers', async (req, res, next) => {
+    app.get('/accounts/:account/transfers', async (req, res, next) => {
         await sendPreparedPaginatedResponse(req, res, await storage.findTransfers(
             {
                 ...req.query,
-                accountHash: req.params.accountHash
+                accountHash: req.account.accountHash
             },
             req.query.limit,
             req.skip,
@@ -272,6 +358,92 @@ let httpServer = (models) => {
         ));
     });
 
+    app.get('/accounts/:account/unbonding', async (req, res, next) => {
+        if (!req.account.publicKey) {
+            await sendPreparedPaginatedResponse(req, res, { count: 0, rows: [] });
+            return;
+        }
+
+        await sendPreparedPaginatedResponse(req, res, await storage.findUnbondings(
+            {
+                ...req.query,
+                unbonderPublicKey: req.account.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ), true);
+    });
+
+    app.get('/accounts/:account/balance', async (req, res, next) => {
+        const balance = await storage.findAccountBalance(req.account.accountHash);
+        if (balance === null) {
+            res.status(404).send({error: {message: "The balance isn't known, the ledger doesn't start from the genesis block."}});
+            return;
+        }
+
+        if (req.query.reconcile) {
+            // The main purse on the node is compared at the state of the latest stored block
+            const latestBlocks = await storage.findBlocks({}, 1, 0);
+            if (latestBlocks.rows.length === 0) {
+                res.status(404).send({error: {message: "Block not found."}});
+                return;
+            }
+
+            const latestBlock = latestBlocks.rows[0];
+            let nodeBalance;
+            try {
+                // The same nodes the Event Handler follows
+                const casperClient = createCasperClient();
+                const mainPurse = await casperClient.getAccountMainPurse(latestBlock.state, req.account.accountHash);
+                nodeBalance = await casperClient.getBalance(latestBlock.state, mainPurse);
+            } catch (err) {
+                console.warn(`Warning: Could not fetch the balance of account ${req.account.accountHash} from the node: ${err.message}`);
+                res.status(502).send({error: {message: "Could not fetch the balance from the node."}});
+                return;
+            }
+
+            balance.reconciliation = {
+                blockHeight: latestBlock.blockHeight,
+                nodeLiquid: nodeBalance,
+                difference: BigNumber.from(nodeBalance).sub(balance.liquid).toString(),
+            };
+        }
+
+        res.send({data: balance});
+    });
+
+    app.get('/accounts/:account/balance-history', async (req, res, next) => {
+        const interval = req.query.interval || 'day';
+        if (!Storage.BALANCE_HISTORY_INTERVALS[interval]) {
+            res.status(400).send({error: {message: `Unknown interval. Available intervals: ${Object.keys(Storage.BALANCE_HISTORY_INTERVALS).join(', ')}`}});
+            return;
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - 30 * Storage.BALANCE_HISTORY_INTERVALS.day);
+        if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+            res.status(400).send({error: {message: 'Invalid date range'}});
+            return;
+        }
+
+        if ((to - from) / Storage.BALANCE_HISTORY_INTERVALS[interval] > Storage.MAX_BALANCE_HISTORY_POINTS) {
+            res.status(400).send({error: {message: `The date range spans more than ${Storage.MAX_BALANCE_HISTORY_POINTS} intervals`}});
+            return;
+        }
+
+        const history = await storage.findAccountBalanceHistory(req.account.accountHash, from, to, interval);
+        if (history === null) {
+            res.status(404).send({error: {message: "The balance isn't known, the ledger doesn't start from the genesis block."}});
+            return;
+        }
+
+        res.send({data: history});
+    });
+
     // Transfers
     app.get('/transfers', async (req, res, next) => {
         await sendPreparedPaginatedResponse(req, res, await storage.findTransfers(
@@ -305,7 +477,233 @@ let httpServer = (models) => {
         ));
     });
 
+    // Eras
+    app.get('/eras', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findEras(
+            req.query,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ), true);
+    });
+
+    app.get('/eras/:id', async (req, res, next) => {
+        const era = Number.isInteger(Number(req.params.id)) ? await storage.findEraById(Number(req.params.id)) : null;
+        if (era === null) {
+            res.status(404).send({error: {message: "Era not found."}});
+            return;
+        }
+
+        res.send({data: era});
+    });
+
+    // The current era has its blocks and validators before it ends
+    app.get('/eras/:id/blocks', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findBlocks(
+            {
+                ...req.query,
+                eraId: req.params.id
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    app.get('/eras/:id/validators', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findEraValidators(
+            {
+                ...req.query,
+                eraId: req.params.id
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    // Faults
+    app.get('/faults', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findFaults(
+            req.query,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    // Expired deploys
+    app.get('/expired-deploys', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findExpiredDeploys(
+            req.query,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    app.get('/expired-deploys/:deployHash', async (req, res, next) => {
+        const expiredDeploy = await storage.findExpiredDeployByHash(req.params.deployHash);
+        if (expiredDeploy === null) {
+            res.status(404).send({error: {message: "Expired deploy not found."}});
+        } else {
+            res.send({data: expiredDeploy.toJSON()});
+        }
+    });
+
+    // Contracts
+    const stripHashPrefix = (hash) => hash.replace(/^hash-/, '');
+
+    app.get('/contracts', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findContracts(
+            req.query,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    app.get('/contracts/:contractHash', async (req, res, next) => {
+        const contract = await storage.findContractByHash(stripHashPrefix(req.params.contractHash));
+        if (contract === null) {
+            res.status(404).send({error: {message: "Contract not found."}});
+        } else {
+            res.send({data: contract.toJSON()});
+        }
+    });
+
+    app.get('/contract-packages/:contractPackageHash/versions', async (req, res, next) => {
+        const contractPackageHash = stripHashPrefix(req.params.contractPackageHash);
+        const contractPackage = await storage.findContractPackageByHash(contractPackageHash);
+        if (contractPackage === null) {
+            res.status(404).send({error: {message: "Contract package not found."}});
+            return;
+        }
+
+        const disabledVersions = contractPackage.disabledVersions || [];
+        const contracts = await storage.findContractPackageVersions(contractPackageHash);
+
+        res.send({
+            data: {
+                ...contractPackage.toJSON(),
+                versions: contracts.map(contract => ({
+                    ...contract.toJSON(),
+                    disabled: disabledVersions.includes(contract.version),
+                })),
+            }
+        });
+    });
+
+    app.get('/accounts/:account/contracts', async (req, res, next) => {
+        if (!req.account.publicKey) {
+            await sendPreparedPaginatedResponse(req, res, { count: 0, rows: [] });
+            return;
+        }
+
+        await sendPreparedPaginatedResponse(req, res, await storage.findContracts(
+            {
+                ...req.query,
+                deployerAccount: req.account.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    // Node lifecycle events
+    app.get('/node-lifecycle-events', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findNodeLifecycleEvents(
+            req.query,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
     // Validators
+    const getEraRange = (req) => {
+        const range = {};
+        for (let param of ['fromEra', 'toEra']) {
+            if (req.query[param] !== undefined) {
+                range[param] = parseInt(req.query[param]);
+                if (isNaN(range[param])) {
+                    return null;
+                }
+            }
+        }
+
+        return range;
+    };
+
+    app.get('/validators', async (req, res, next) => {
+        const eraRange = getEraRange(req);
+        if (eraRange === null) {
+            res.status(400).send({error: {message: 'Invalid era range'}});
+            return;
+        }
+
+        await sendPreparedPaginatedResponse(req, res, await storage.findValidatorStats(
+            eraRange,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ), true);
+    });
+
+    // Trailing window of the APY, in eras
+    const getApyWindow = (req) => {
+        const eras = req.query.eras !== undefined ? Number(req.query.eras) : 30;
+
+        return Number.isInteger(eras) && eras > 0 && eras <= 1000 ? eras : null;
+    };
+
+    app.get('/validators/:publicKey/apy', async (req, res, next) => {
+        const eras = getApyWindow(req);
+        if (eras === null) {
+            res.status(400).send({error: {message: 'The eras parameter has to be a number between 1 and 1000'}});
+            return;
+        }
+
+        const apyCalculator = new ApyCalculator(storage);
+        const result = await apyCalculator.getValidatorApy(req.params.publicKey, eras);
+        if (result === null) {
+            res.status(404).send({error: {message: "Validator not found."}});
+            return;
+        }
+
+        if (req.query.delegator) {
+            result.delegator = await apyCalculator.getDelegatorApy(req.query.delegator, req.params.publicKey, eras);
+        }
+
+        res.send({data: result});
+    });
+
+    app.get('/validators/:publicKey/stats', async (req, res, next) => {
+        const eraRange = getEraRange(req);
+        if (eraRange === null) {
+            res.status(400).send({error: {message: 'Invalid era range'}});
+            return;
+        }
+
+        const stats = await storage.findValidatorStats({ ...eraRange, publicKey: req.params.publicKey }, 1, 0);
+        if (stats.rows.length === 0) {
+            res.status(404).send({error: {message: "Validator not found."}});
+            return;
+        }
+
+        res.send({data: stats.rows[0]});
+    });
+
     app.get('/validators/:publicKey/total-rewards', async (req, res, next) => {
         const result = await storage.getTotalValidatorRewards(req.params.publicKey);
 
@@ -355,7 +753,70 @@ let httpServer = (models) => {
         ));
     });
 
+    app.get('/validators/:publicKey/faults', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findFaults(
+            {
+                ...req.query,
+                publicKey: req.params.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    app.get('/validators/:publicKey/unbonding', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findUnbondings(
+            {
+                ...req.query,
+                validatorPublicKey: req.params.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ), true);
+    });
+
+    app.get('/validators/:publicKey/delegators', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findDelegations(
+            {
+                validatorPublicKey: req.params.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
     // Delegators
+    app.get('/delegators/:publicKey/delegations', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findDelegations(
+            {
+                delegatorPublicKey: req.params.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    app.get('/delegators/:publicKey/delegations/history', async (req, res, next) => {
+        await sendPreparedPaginatedResponse(req, res, await storage.findDelegationHistory(
+            {
+                ...req.query,
+                delegatorPublicKey: req.params.publicKey
+            },
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
     app.get('/delegators/:publicKey/rewards', async (req, res, next) => {
         await sendPreparedPaginatedResponse(req, res, await storage.findDelegatorRewards(
             {
@@ -382,6 +843,57 @@ let httpServer = (models) => {
         }
     });
 
+    // Auction
+    // Latest snapshot when the era isn't given
+    const getAuctionCriteria = (req) => {
+        if (req.query.eraId !== undefined && !Number.isInteger(Number(req.query.eraId))) {
+            return null;
+        }
+
+        return { ...req.query };
+    };
+
+    app.get('/auction/validators', async (req, res, next) => {
+        const criteria = getAuctionCriteria(req);
+        if (criteria === null) {
+            res.status(400).send({error: {message: 'The eraId parameter has to be a number'}});
+            return;
+        }
+
+        await sendPreparedPaginatedResponse(req, res, await storage.findAuctionValidators(
+            criteria,
+            req.query.limit,
+            req.skip,
+            req.query.order_by,
+            req.query.order_direction
+        ));
+    });
+
+    app.get('/auction/bids', async (req, res, next) => {
+        const criteria = getAuctionCriteria(req);
+        if (criteria === null) {
+            res.status(400).send({error: {message: 'The eraId parameter has to be a number'}});
+            return;
+        }
+
+        await sendPreparedPaginatedResponse(req, res, await storage.findAuctionBids(
+            criteria,
+            req.query.limit,
+            req.skip
+        ), true);
+    });
+
+    // Network
+    app.get('/network/apy', async (req, res, next) => {
+        const eras = getApyWindow(req);
+        if (eras === null) {
+            res.status(400).send({error: {message: 'The eras parameter has to be a number between 1 and 1000'}});
+            return;
+        }
+
+        res.send({data: await new ApyCalculator(storage).getNetworkApy(eras)});
+    });
+
     // Supply
     const motesToCSPRRate = '1000000000';
 
@@ -541,6 +1053,18 @@ let httpServer = (models) => {
         }
     });
 
+    // Status
+    // Result of the latest check of the Event Handler
+    app.get('/status/gaps', async (req, res, next) => {
+        const gapScan = await storage.findLastGapScan();
+        if (gapScan === null) {
+            res.status(404).send({error: {message: "The stored blocks haven't been checked for gaps yet."}});
+            return;
+        }
+
+        res.send({data: gapScan.toJSON()});
+    });
+
     app.use(function (req,res,next){
         res.status(400).send({error: {message: 'Bad Request'}});
     });
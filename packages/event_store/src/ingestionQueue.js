@@ -0,0 +1,167 @@
+/**
+ * Bounded queue that ingests events in the stream order.
+ *
+ * Tasks are started in the order they were pushed, with at most `parallelism[type]`
+ * tasks of the same type and `maxParallelism` tasks in total running at once.
+ * `push()` waits while the queue is full, which lets the producer apply backpressure
+ * to its source.
+ *
+ * Every task gets a `getCheckpoint()` function to call right before committing its
+ * writes. It returns the checkpoint that is safe to store along with them, i.e. the
+ * checkpoint of the latest item that is processed together with all the items pushed
+ * before it, or `null` if some earlier item is still in progress. This way a stored
+ * checkpoint never gets ahead of the stored data. Checkpoints, that no task could
+ * store, are handed to `onCheckpoint` when the queue drains.
+ */
+class IngestionQueue {
+    constructor(options = {}) {
+        this.parallelism = options.parallelism || {};
+        this.defaultParallelism = options.defaultParallelism || 1;
+        this.maxParallelism = options.maxParallelism || Infinity;
+        this.maxSize = options.maxSize || 100;
+        this.onCheckpoint = options.onCheckpoint || null;
+
+        this.entries = [];
+        this.running = {};
+        this.runningTotal = 0;
+        this.failure = null;
+        this.lastCheckpoint = null;
+        this.lastStoredCheckpoint = null;
+        this.waiters = [];
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    getParallelism(type) {
+        return this.parallelism[type] || this.defaultParallelism;
+    }
+
+    async push(type, task, checkpoint = null) {
+        await this.waitFor(() => this.entries.length < this.maxSize);
+
+        this.entries.push({ type, task, checkpoint, started: false, done: false, storedCheckpoint: null });
+        this.schedule();
+    }
+
+    /**
+     * Resolves when all the pushed items are processed and checkpointed
+     */
+    async drain() {
+        await this.waitFor(() => this.entries.length === 0);
+
+        if (this.onCheckpoint && this.lastCheckpoint !== this.lastStoredCheckpoint) {
+            await this.onCheckpoint(this.lastCheckpoint);
+            this.lastStoredCheckpoint = this.lastCheckpoint;
+        }
+    }
+
+    getCheckpoint(entry) {
+        // Only the oldest item in the queue can move the checkpoint
+        if (this.entries[0] !== entry) {
+            return null;
+        }
+
+        let checkpoint = entry.checkpoint;
+        for (let i = 1; i < this.entries.length && this.entries[i].done; i++) {
+            if (this.entries[i].checkpoint !== null) {
+                checkpoint = this.entries[i].checkpoint;
+            }
+        }
+
+        entry.storedCheckpoint = checkpoint;
+
+        return checkpoint;
+    }
+
+    waitFor(condition) {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        if (condition()) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.waiters.push({ condition, resolve, reject });
+        });
+    }
+
+    notify() {
+        this.waiters = this.waiters.filter(waiter => {
+            if (this.failure) {
+                waiter.reject(this.failure);
+                return false;
+            }
+
+            if (waiter.condition()) {
+                waiter.resolve();
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    fail(err) {
+        if (!this.failure) {
+            this.failure = err;
+            this.notify();
+        }
+    }
+
+    schedule() {
+        for (let entry of this.entries) {
+            if (this.failure) {
+                return;
+            }
+
+            if (this.runningTotal >= this.maxParallelism) {
+                return;
+            }
+
+            if (entry.started || (this.running[entry.type] || 0) >= this.getParallelism(entry.type)) {
+                continue;
+            }
+
+            this.run(entry);
+        }
+    }
+
+    async run(entry) {
+        entry.started = true;
+        this.running[entry.type] = (this.running[entry.type] || 0) + 1;
+        this.runningTotal++;
+
+        try {
+            await entry.task(() => this.getCheckpoint(entry));
+            entry.done = true;
+
+            if (entry.storedCheckpoint !== null) {
+                this.lastStoredCheckpoint = entry.storedCheckpoint;
+            }
+        } catch (err) {
+            this.fail(err);
+        }
+
+        this.running[entry.type]--;
+        this.runningTotal--;
+        this.advance();
+        this.schedule();
+    }
+
+    advance() {
+        while (!this.failure && this.entries.length > 0 && this.entries[0].done) {
+            const entry = this.entries.shift();
+            if (entry.checkpoint !== null) {
+                this.lastCheckpoint = entry.checkpoint;
+            }
+        }
+
+        this.notify();
+    }
+}
+
+module.exports = IngestionQueue;
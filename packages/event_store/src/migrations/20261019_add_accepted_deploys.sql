@@ -0,0 +1,23 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `AcceptedDeploys` (
+    `deployHash` varchar(64) NOT NULL,
+    `account` varchar(68) DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    `ttl` varchar(32) DEFAULT NULL,
+    `expiresAt` datetime DEFAULT NULL,
+    `dependencies` json DEFAULT NULL,
+    `chainName` varchar(64) DEFAULT NULL,
+    `gasPrice` bigint(20) DEFAULT NULL,
+    `bodyHash` varchar(64) DEFAULT NULL,
+    `acceptedAt` datetime DEFAULT NULL,
+    PRIMARY KEY (`deployHash`),
+    KEY `accepted_deploys_account` (`account`),
+    KEY `accepted_deploys_expires_at` (`expiresAt`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `AcceptedDeploys`;
@@ -0,0 +1,23 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `AccountLedgerEntries` (
+    `accountHash` varchar(64) NOT NULL,
+    `kind` varchar(32) NOT NULL,
+    `reference` varchar(160) NOT NULL,
+    `liquid` bigint(20) DEFAULT NULL,
+    `staked` bigint(20) DEFAULT NULL,
+    `unbonding` bigint(20) DEFAULT NULL,
+    `deployHash` varchar(64) DEFAULT NULL,
+    `eraId` int(11) DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`accountHash`,`kind`,`reference`),
+    KEY `account_ledger_entries_account_hash_timestamp` (`accountHash`,`timestamp`),
+    KEY `account_ledger_entries_deploy_hash` (`deployHash`),
+    KEY `account_ledger_entries_era_id` (`eraId`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `AccountLedgerEntries`;
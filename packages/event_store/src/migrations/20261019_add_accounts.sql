@@ -0,0 +1,14 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `Accounts` (
+    `accountHash` varchar(64) NOT NULL,
+    `publicKey` varchar(68) DEFAULT NULL,
+    PRIMARY KEY (`accountHash`),
+    UNIQUE KEY `publicKey` (`publicKey`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `Accounts`;
@@ -0,0 +1,32 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `AuctionBids` (
+    `eraId` int(11) NOT NULL,
+    `validatorPublicKey` varchar(68) NOT NULL,
+    `bondingPurse` varchar(74) DEFAULT NULL,
+    `stakedAmount` bigint(20) DEFAULT NULL,
+    `delegationRate` int(11) DEFAULT NULL,
+    `inactive` tinyint(1) DEFAULT NULL,
+    `delegatorCount` int(11) DEFAULT NULL,
+    `delegatedAmount` bigint(20) DEFAULT NULL,
+    `totalStakedAmount` bigint(20) DEFAULT NULL,
+    PRIMARY KEY (`eraId`,`validatorPublicKey`),
+    KEY `auction_bids_era_id_total_staked_amount` (`eraId`,`totalStakedAmount`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE `AuctionDelegators` (
+    `eraId` int(11) NOT NULL,
+    `validatorPublicKey` varchar(68) NOT NULL,
+    `delegatorPublicKey` varchar(68) NOT NULL,
+    `bondingPurse` varchar(74) DEFAULT NULL,
+    `stakedAmount` bigint(20) DEFAULT NULL,
+    PRIMARY KEY (`eraId`,`validatorPublicKey`,`delegatorPublicKey`),
+    KEY `auction_delegators_delegator_public_key` (`delegatorPublicKey`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `AuctionDelegators`;
+DROP TABLE `AuctionBids`;
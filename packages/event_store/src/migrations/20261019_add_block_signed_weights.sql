@@ -0,0 +1,21 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `BlockSignedWeights` (
+    `blockHash` varchar(64) NOT NULL,
+    `eraId` int(11) DEFAULT NULL,
+    `signedWeight` decimal(30,0) DEFAULT NULL,
+    PRIMARY KEY (`blockHash`),
+    KEY `block_signed_weights_era_id` (`eraId`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+INSERT INTO `BlockSignedWeights` (`blockHash`, `eraId`, `signedWeight`)
+SELECT s.`blockHash`, MAX(s.`eraId`), COALESCE(SUM(ev.`weight`), 0)
+FROM (SELECT DISTINCT `blockHash`, `eraId`, `publicKey` FROM `FinalitySignatures`) s
+LEFT JOIN `EraValidators` ev ON ev.`eraId` = s.`eraId` AND ev.`publicKeyHex` = s.`publicKey`
+GROUP BY s.`blockHash`;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `BlockSignedWeights`;
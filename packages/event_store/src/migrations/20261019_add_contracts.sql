@@ -0,0 +1,36 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `Contracts` (
+    `contractHash` varchar(64) NOT NULL,
+    `contractPackageHash` varchar(64) DEFAULT NULL,
+    `contractWasmHash` varchar(64) DEFAULT NULL,
+    `version` int(11) DEFAULT NULL,
+    `deployHash` varchar(64) DEFAULT NULL,
+    `deployerAccount` varchar(68) DEFAULT NULL,
+    `protocolVersion` varchar(32) DEFAULT NULL,
+    `entryPoints` json DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`contractHash`),
+    KEY `contracts_contract_package_hash` (`contractPackageHash`),
+    KEY `contracts_deploy_hash` (`deployHash`),
+    KEY `contracts_deployer_account` (`deployerAccount`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE `ContractPackages` (
+    `contractPackageHash` varchar(64) NOT NULL,
+    `deployHash` varchar(64) DEFAULT NULL,
+    `deployerAccount` varchar(68) DEFAULT NULL,
+    `accessKey` varchar(74) DEFAULT NULL,
+    `disabledVersions` json DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`contractPackageHash`),
+    KEY `contract_packages_deploy_hash` (`deployHash`),
+    KEY `contract_packages_deployer_account` (`deployerAccount`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `Contracts`;
+DROP TABLE `ContractPackages`;
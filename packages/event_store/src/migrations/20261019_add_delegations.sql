@@ -0,0 +1,32 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `Delegations` (
+    `delegatorPublicKey` varchar(68) NOT NULL,
+    `validatorPublicKey` varchar(68) NOT NULL,
+    `stakedAmount` bigint(20) DEFAULT NULL,
+    `bondingPurse` varchar(74) DEFAULT NULL,
+    `deployHash` varchar(64) DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`delegatorPublicKey`,`validatorPublicKey`),
+    KEY `delegations_validator_public_key` (`validatorPublicKey`),
+    KEY `delegations_deploy_hash` (`deployHash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE `DelegationHistory` (
+    `deployHash` varchar(64) NOT NULL,
+    `validatorPublicKey` varchar(68) NOT NULL,
+    `delegatorPublicKey` varchar(68) NOT NULL,
+    `stakedAmount` bigint(20) DEFAULT NULL,
+    `previousStakedAmount` bigint(20) DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`deployHash`,`validatorPublicKey`,`delegatorPublicKey`),
+    KEY `delegation_history_delegator_public_key_timestamp` (`delegatorPublicKey`,`timestamp`),
+    KEY `delegation_history_validator_public_key` (`validatorPublicKey`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `DelegationHistory`;
+DROP TABLE `Delegations`;
@@ -0,0 +1,21 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `FailedEvents` (
+    `id` int(11) NOT NULL AUTO_INCREMENT,
+    `sourceNodeId` int(11) DEFAULT NULL,
+    `apiVersionId` int(11) DEFAULT NULL,
+    `eventStreamId` int(11) DEFAULT NULL,
+    `eventId` bigint(20) DEFAULT NULL,
+    `eventType` varchar(32) DEFAULT NULL,
+    `jsonBody` mediumtext,
+    `error` text,
+    `created` datetime NOT NULL,
+    PRIMARY KEY (`id`),
+    KEY `failed_events_source_node_id_event_stream_id_event_id` (`sourceNodeId`,`eventStreamId`,`eventId`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `FailedEvents`;
@@ -0,0 +1,32 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `Faults` (
+    `eraId` int(11) NOT NULL,
+    `publicKey` varchar(68) NOT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`eraId`,`publicKey`),
+    KEY `faults_public_key` (`publicKey`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE `ExpiredDeploys` (
+    `deployHash` varchar(64) NOT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`deployHash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+CREATE TABLE `NodeLifecycleEvents` (
+    `id` int(11) NOT NULL AUTO_INCREMENT,
+    `sourceNodeId` int(11) DEFAULT NULL,
+    `eventType` varchar(32) DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`id`),
+    KEY `node_lifecycle_events_source_node_id` (`sourceNodeId`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `Faults`;
+DROP TABLE `ExpiredDeploys`;
+DROP TABLE `NodeLifecycleEvents`;
@@ -0,0 +1,16 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `GapScans` (
+    `id` int(11) NOT NULL,
+    `gaps` json DEFAULT NULL,
+    `missingBlockCount` int(11) DEFAULT NULL,
+    `brokenParentHashLinks` json DEFAULT NULL,
+    `scannedAt` datetime DEFAULT NULL,
+    PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `GapScans`;
@@ -0,0 +1,25 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+ALTER TABLE `Deploys`
+    ADD COLUMN `sessionType` varchar(32) DEFAULT NULL,
+    ADD COLUMN `contractHash` varchar(64) DEFAULT NULL,
+    ADD COLUMN `contractName` varchar(255) DEFAULT NULL,
+    ADD COLUMN `entryPoint` varchar(255) DEFAULT NULL,
+    ADD COLUMN `sessionArgs` json DEFAULT NULL,
+    ADD COLUMN `paymentAmount` bigint(20) DEFAULT NULL,
+    ADD KEY `deploys_contract_hash` (`contractHash`),
+    ADD KEY `deploys_entry_point` (`entryPoint`);
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+ALTER TABLE `Deploys`
+    DROP KEY `deploys_contract_hash`,
+    DROP KEY `deploys_entry_point`,
+    DROP COLUMN `sessionType`,
+    DROP COLUMN `contractHash`,
+    DROP COLUMN `contractName`,
+    DROP COLUMN `entryPoint`,
+    DROP COLUMN `sessionArgs`,
+    DROP COLUMN `paymentAmount`;
@@ -0,0 +1,13 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+ALTER TABLE `Deploys`
+    ADD COLUMN `type` varchar(32) DEFAULT NULL,
+    ADD KEY `deploys_type` (`type`);
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+ALTER TABLE `Deploys`
+    DROP KEY `deploys_type`,
+    DROP COLUMN `type`;
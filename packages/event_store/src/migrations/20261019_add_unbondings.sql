@@ -0,0 +1,21 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+CREATE TABLE `Unbondings` (
+    `unbonderPublicKey` varchar(68) NOT NULL,
+    `validatorPublicKey` varchar(68) NOT NULL,
+    `bondingPurse` varchar(74) NOT NULL,
+    `eraOfCreation` int(11) NOT NULL,
+    `amount` bigint(20) NOT NULL,
+    `sequence` int(11) NOT NULL,
+    `deployHash` varchar(64) DEFAULT NULL,
+    `timestamp` datetime DEFAULT NULL,
+    PRIMARY KEY (`unbonderPublicKey`,`validatorPublicKey`,`bondingPurse`,`eraOfCreation`,`amount`,`sequence`),
+    KEY `unbondings_validator_public_key` (`validatorPublicKey`),
+    KEY `unbondings_deploy_hash` (`deployHash`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8;
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+DROP TABLE `Unbondings`;
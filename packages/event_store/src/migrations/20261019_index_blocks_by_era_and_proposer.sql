@@ -0,0 +1,9 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+ALTER TABLE `Blocks` ADD INDEX `blocks_era_id_proposer` (`eraId`, `proposer`);
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+ALTER TABLE `Blocks` DROP INDEX `blocks_era_id_proposer`;
@@ -0,0 +1,9 @@
+-- +migrate Up
+-- SQL in section 'Up' is executed when this migration is applied
+
+ALTER TABLE `FinalitySignatures` ADD INDEX `finality_signatures_block_hash` (`blockHash`);
+
+-- +migrate Down
+-- SQL section 'Down' is executed when this migration is rolled back
+
+ALTER TABLE `FinalitySignatures` DROP INDEX `finality_signatures_block_hash`;
@@ -0,0 +1,50 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class AcceptedDeploy extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                deployHash: this.deployHash,
+                account: this.account,
+                timestamp: this.timestamp,
+                ttl: this.ttl,
+                expiresAt: this.expiresAt,
+                dependencies: this.dependencies,
+                chainName: this.chainName,
+                gasPrice: this.gasPrice,
+                bodyHash: this.bodyHash,
+                acceptedAt: this.acceptedAt,
+            }
+        }
+    }
+
+    AcceptedDeploy.init({
+        deployHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        account: DataTypes.STRING(68),
+        timestamp: DataTypes.DATE,
+        ttl: DataTypes.STRING(32),
+        // timestamp + ttl, null if the ttl couldn't be parsed
+        expiresAt: DataTypes.DATE,
+        dependencies: DataTypes.JSON,
+        chainName: DataTypes.STRING(64),
+        gasPrice: DataTypes.BIGINT,
+        bodyHash: DataTypes.STRING(64),
+        // The time the deploy was announced by the node
+        acceptedAt: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'AcceptedDeploy',
+        indexes: [
+            { fields: ['account'] },
+            { fields: ['expiresAt'] },
+        ]
+    });
+
+    return AcceptedDeploy;
+};
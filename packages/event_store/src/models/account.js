@@ -0,0 +1,35 @@
+const { Model } = require('sequelize');
+
+/**
+ * Registry of the public keys seen in the events, by their account hashes, so that an account
+ * can be looked up with either of them
+ */
+module.exports = (sequelize, DataTypes) => {
+    class Account extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                accountHash: this.accountHash,
+                publicKey: this.publicKey,
+            }
+        }
+    }
+
+    Account.init({
+        accountHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        publicKey: {
+            type: DataTypes.STRING(68),
+            unique: true,
+        },
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'Account',
+    });
+
+    return Account;
+};
@@ -0,0 +1,59 @@
+const { Model } = require('sequelize');
+
+/**
+ * A change of the balance of an account. The balance is split into the liquid part (the main
+ * purse), the staked part and the unbonding part, that is on its way back to the main purse.
+ */
+module.exports = (sequelize, DataTypes) => {
+    class AccountLedgerEntry extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                accountHash: this.accountHash,
+                kind: this.kind,
+                reference: this.reference,
+                liquid: this.liquid,
+                staked: this.staked,
+                unbonding: this.unbonding,
+                deployHash: this.deployHash,
+                eraId: this.eraId,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    AccountLedgerEntry.init({
+        accountHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        // opening, transfer_in, transfer_out, fee, stake, unbond, unbonding_payout or reward
+        kind: {
+            type: DataTypes.STRING(32),
+            primaryKey: true,
+        },
+        // What caused the change, unique per account and kind: the transfer hash, the deploy hash or the era and the validator
+        reference: {
+            type: DataTypes.STRING(160),
+            primaryKey: true,
+        },
+        liquid: DataTypes.BIGINT,
+        staked: DataTypes.BIGINT,
+        unbonding: DataTypes.BIGINT,
+        deployHash: DataTypes.STRING(64),
+        eraId: DataTypes.INTEGER,
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'AccountLedgerEntry',
+        indexes: [
+            { fields: ['accountHash', 'timestamp'] },
+            { fields: ['deployHash'] },
+            { fields: ['eraId'] },
+        ]
+    });
+
+    return AccountLedgerEntry;
+};
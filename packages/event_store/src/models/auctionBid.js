@@ -0,0 +1,53 @@
+const { Model } = require('sequelize');
+
+/**
+ * Bid of a validator in the auction at the end of the era, as served by the node. Holds the
+ * totals of the delegators, which are stored in AuctionDelegator.
+ */
+module.exports = (sequelize, DataTypes) => {
+    class AuctionBid extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                eraId: this.eraId,
+                validatorPublicKey: this.validatorPublicKey,
+                bondingPurse: this.bondingPurse,
+                stakedAmount: this.stakedAmount,
+                delegationRate: this.delegationRate,
+                inactive: this.inactive,
+                delegatorCount: this.delegatorCount,
+                delegatedAmount: this.delegatedAmount,
+                totalStakedAmount: this.totalStakedAmount,
+            }
+        }
+    }
+
+    AuctionBid.init({
+        eraId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+        },
+        validatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        bondingPurse: DataTypes.STRING(74),
+        stakedAmount: DataTypes.BIGINT,
+        delegationRate: DataTypes.INTEGER,
+        inactive: DataTypes.BOOLEAN,
+        delegatorCount: DataTypes.INTEGER,
+        delegatedAmount: DataTypes.BIGINT,
+        // Own stake of the validator and the stake of its delegators
+        totalStakedAmount: DataTypes.BIGINT,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'AuctionBid',
+        indexes: [
+            { fields: ['eraId', 'totalStakedAmount'] },
+        ]
+    });
+
+    return AuctionBid;
+};
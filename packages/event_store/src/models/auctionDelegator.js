@@ -0,0 +1,44 @@
+const { Model } = require('sequelize');
+
+/**
+ * Delegator of a bid in the auction at the end of the era
+ */
+module.exports = (sequelize, DataTypes) => {
+    class AuctionDelegator extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                delegatorPublicKey: this.delegatorPublicKey,
+                bondingPurse: this.bondingPurse,
+                stakedAmount: this.stakedAmount,
+            }
+        }
+    }
+
+    AuctionDelegator.init({
+        eraId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+        },
+        validatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        delegatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        bondingPurse: DataTypes.STRING(74),
+        stakedAmount: DataTypes.BIGINT,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'AuctionDelegator',
+        indexes: [
+            { fields: ['delegatorPublicKey'] },
+        ]
+    });
+
+    return AuctionDelegator;
+};
@@ -123,7 +123,8 @@ module.exports = (sequelize, DataTypes) => {
         modelName: 'Block',
         indexes: [
             { fields: [ 'blockHeight' ] },
-            { fields: [ 'blockHash' ] }
+            { fields: [ 'blockHash' ] },
+            { fields: [ 'eraId', 'proposer' ] }
         ]
     });
 
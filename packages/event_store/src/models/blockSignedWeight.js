@@ -0,0 +1,36 @@
+const { Model } = require('sequelize');
+
+/**
+ * Weight of the era validators, that signed the block, added up as the finality signatures come in
+ */
+module.exports = (sequelize, DataTypes) => {
+    class BlockSignedWeight extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                blockHash: this.blockHash,
+                eraId: this.eraId,
+                signedWeight: this.signedWeight,
+            }
+        }
+    }
+
+    BlockSignedWeight.init({
+        blockHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        eraId: DataTypes.INTEGER,
+        signedWeight: DataTypes.DECIMAL(30, 0),
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'BlockSignedWeight',
+        indexes: [
+            { fields: ['eraId'] },
+        ]
+    });
+
+    return BlockSignedWeight;
+};
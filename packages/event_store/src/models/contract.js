@@ -0,0 +1,48 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Contract extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                contractHash: this.contractHash,
+                contractPackageHash: this.contractPackageHash,
+                contractWasmHash: this.contractWasmHash,
+                version: this.version,
+                deployHash: this.deployHash,
+                deployerAccount: this.deployerAccount,
+                protocolVersion: this.protocolVersion,
+                entryPoints: this.entryPoints,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    Contract.init({
+        contractHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        contractPackageHash: DataTypes.STRING(64),
+        contractWasmHash: DataTypes.STRING(64),
+        // Version within the package, null if the package is unknown
+        version: DataTypes.INTEGER,
+        deployHash: DataTypes.STRING(64),
+        deployerAccount: DataTypes.STRING(68),
+        protocolVersion: DataTypes.STRING(32),
+        entryPoints: DataTypes.JSON,
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'Contract',
+        indexes: [
+            { fields: ['contractPackageHash'] },
+            { fields: ['deployHash'] },
+            { fields: ['deployerAccount'] },
+        ]
+    });
+
+    return Contract;
+};
@@ -0,0 +1,41 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class ContractPackage extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                contractPackageHash: this.contractPackageHash,
+                deployHash: this.deployHash,
+                deployerAccount: this.deployerAccount,
+                accessKey: this.accessKey,
+                disabledVersions: this.disabledVersions,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    ContractPackage.init({
+        contractPackageHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        // The deploy, that created the package
+        deployHash: DataTypes.STRING(64),
+        deployerAccount: DataTypes.STRING(68),
+        accessKey: DataTypes.STRING(74),
+        disabledVersions: DataTypes.JSON,
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'ContractPackage',
+        indexes: [
+            { fields: ['deployHash'] },
+            { fields: ['deployerAccount'] },
+        ]
+    });
+
+    return ContractPackage;
+};
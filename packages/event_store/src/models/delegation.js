@@ -0,0 +1,48 @@
+const { Model } = require('sequelize');
+
+/**
+ * Current stake of a delegator with a validator, as of the latest bid of the validator.
+ * Ended delegations are kept with no stake.
+ */
+module.exports = (sequelize, DataTypes) => {
+    class Delegation extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                delegatorPublicKey: this.delegatorPublicKey,
+                validatorPublicKey: this.validatorPublicKey,
+                stakedAmount: this.stakedAmount,
+                bondingPurse: this.bondingPurse,
+                deployHash: this.deployHash,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    Delegation.init({
+        delegatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        validatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        stakedAmount: DataTypes.BIGINT,
+        bondingPurse: DataTypes.STRING(74),
+        // The deploy, that changed the stake last
+        deployHash: DataTypes.STRING(64),
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'Delegation',
+        indexes: [
+            { fields: ['validatorPublicKey'] },
+            { fields: ['deployHash'] },
+        ]
+    });
+
+    return Delegation;
+};
@@ -0,0 +1,50 @@
+const { Model } = require('sequelize');
+
+/**
+ * Stake of a delegator with a validator after each deploy, that changed it
+ */
+module.exports = (sequelize, DataTypes) => {
+    class DelegationHistory extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                delegatorPublicKey: this.delegatorPublicKey,
+                validatorPublicKey: this.validatorPublicKey,
+                stakedAmount: this.stakedAmount,
+                previousStakedAmount: this.previousStakedAmount,
+                deployHash: this.deployHash,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    DelegationHistory.init({
+        deployHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        validatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        delegatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        stakedAmount: DataTypes.BIGINT,
+        previousStakedAmount: DataTypes.BIGINT,
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'DelegationHistory',
+        tableName: 'DelegationHistory',
+        indexes: [
+            { fields: ['delegatorPublicKey', 'timestamp'] },
+            { fields: ['validatorPublicKey'] },
+        ]
+    });
+
+    return DelegationHistory;
+};
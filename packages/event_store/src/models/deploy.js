@@ -10,6 +10,13 @@ module.exports = (sequelize, DataTypes) => {
                 "cost": this.cost,
                 "errorMessage": this.errorMessage,
                 "timestamp": this.timestamp,
+                "type": this.type,
+                "sessionType": this.sessionType,
+                "contractHash": this.contractHash,
+                "contractName": this.contractName,
+                "entryPoint": this.entryPoint,
+                "sessionArgs": this.sessionArgs,
+                "paymentAmount": this.paymentAmount,
             };
         }
     }
@@ -23,13 +30,26 @@ module.exports = (sequelize, DataTypes) => {
         account: DataTypes.STRING,
         cost: DataTypes.BIGINT,
         errorMessage: DataTypes.STRING,
-        timestamp: DataTypes.DATE
+        timestamp: DataTypes.DATE,
+        // What the deploy does, see DeployClassifier
+        type: DataTypes.STRING(32),
+        // ModuleBytes, StoredContractByHash, StoredContractByName, StoredVersionedContractByHash,
+        // StoredVersionedContractByName or Transfer
+        sessionType: DataTypes.STRING(32),
+        contractHash: DataTypes.STRING(64),
+        contractName: DataTypes.STRING,
+        entryPoint: DataTypes.STRING,
+        sessionArgs: DataTypes.JSON,
+        paymentAmount: DataTypes.BIGINT,
     }, {
         sequelize,
         modelName: 'Deploy',
         indexes: [ 
             { fields: [ 'deployHash' ] },
             { fields: [ 'account' ] },
+            { fields: [ 'type' ] },
+            { fields: [ 'contractHash' ] },
+            { fields: [ 'entryPoint' ] },
         ]
     });
     
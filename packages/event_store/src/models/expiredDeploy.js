@@ -0,0 +1,30 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class ExpiredDeploy extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                deployHash: this.deployHash,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    ExpiredDeploy.init({
+        deployHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        // The time the expiration was announced by the node
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'ExpiredDeploy',
+        indexes: []
+    });
+
+    return ExpiredDeploy;
+};
@@ -0,0 +1,50 @@
+const { Model } = require('sequelize');
+
+/**
+ * Events, that couldn't be stored after all the attempts and were skipped, kept to be looked into
+ * and replayed
+ */
+module.exports = (sequelize, DataTypes) => {
+    class FailedEvent extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                id: this.id,
+                sourceNodeId: this.sourceNodeId,
+                apiVersionId: this.apiVersionId,
+                eventStreamId: this.eventStreamId,
+                eventId: this.eventId,
+                eventType: this.eventType,
+                jsonBody: this.jsonBody,
+                error: this.error,
+            }
+        }
+    }
+
+    FailedEvent.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        sourceNodeId: DataTypes.INTEGER,
+        apiVersionId: DataTypes.INTEGER,
+        eventStreamId: DataTypes.INTEGER,
+        eventId: DataTypes.BIGINT,
+        eventType: DataTypes.STRING(32),
+        jsonBody: DataTypes.TEXT('medium'),
+        error: DataTypes.TEXT,
+    }, {
+        sequelize,
+        timestamps: true,
+        createdAt: 'created',
+        updatedAt: false,
+        modelName: 'FailedEvent',
+        indexes: [
+            { fields: ['sourceNodeId', 'eventStreamId', 'eventId'] },
+        ]
+    });
+
+    return FailedEvent;
+};
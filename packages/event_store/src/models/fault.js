@@ -0,0 +1,36 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Fault extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                eraId: this.eraId,
+                publicKey: this.publicKey,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    Fault.init({
+        eraId: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+        },
+        publicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'Fault',
+        indexes: [
+            { fields: ['publicKey'] },
+        ]
+    });
+
+    return Fault;
+};
@@ -25,7 +25,9 @@ module.exports = (sequelize, DataTypes) => {
     }, {
         sequelize,
         modelName: 'FinalitySignature',
-        indexes: []
+        indexes: [
+            { fields: ['blockHash'] },
+        ]
     });
     
     return FinalitySignature;
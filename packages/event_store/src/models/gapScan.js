@@ -0,0 +1,37 @@
+const { Model } = require('sequelize');
+
+/**
+ * Result of the latest periodic scan of the stored blocks for gaps, kept in a single row
+ */
+module.exports = (sequelize, DataTypes) => {
+    class GapScan extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                gaps: this.gaps,
+                missingBlockCount: this.missingBlockCount,
+                brokenParentHashLinks: this.brokenParentHashLinks,
+                scannedAt: this.scannedAt,
+            }
+        }
+    }
+
+    GapScan.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+        },
+        gaps: DataTypes.JSON,
+        missingBlockCount: DataTypes.INTEGER,
+        brokenParentHashLinks: DataTypes.JSON,
+        scannedAt: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'GapScan',
+        indexes: []
+    });
+
+    return GapScan;
+};
@@ -16,18 +16,21 @@ config.dialectOptions = {
     bigNumberStrings: true,
 };
 
-// A hacky way to figure out if the running process is the event handler
-if (process.env.NODE_ADDRESS) {
+// The Event Handler stores several events at once (see EH_INGESTION_PARALLELISM), so its pool
+// should fit them. Set with the `pool` of the config or the environment variables.
+if (process.env.MAX_DATABASE_CONNECTIONS || process.env.MIN_DATABASE_CONNECTIONS) {
     config.pool = {
-        max: process.env.MAX_DATABASE_CONNECTIONS
-            ? parseInt(process.env.MAX_DATABASE_CONNECTIONS)
-            : 450,
-        min: process.env.MIN_DATABASE_CONNECTIONS
-            ? parseInt(process.env.MIN_DATABASE_CONNECTIONS)
-            : 150,
         acquire: 60000 * 3,
-        idle: 5000
+        idle: 5000,
+        ...config.pool,
     };
+
+    if (process.env.MAX_DATABASE_CONNECTIONS) {
+        config.pool.max = parseInt(process.env.MAX_DATABASE_CONNECTIONS);
+    }
+    if (process.env.MIN_DATABASE_CONNECTIONS) {
+        config.pool.min = parseInt(process.env.MIN_DATABASE_CONNECTIONS);
+    }
 }
 
 if (process.env['DATABASE_URI']) {
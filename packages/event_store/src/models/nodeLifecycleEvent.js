@@ -0,0 +1,36 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class NodeLifecycleEvent extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                id: this.id,
+                sourceNodeId: this.sourceNodeId,
+                eventType: this.eventType,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    NodeLifecycleEvent.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        sourceNodeId: DataTypes.INTEGER,
+        eventType: DataTypes.STRING(32),
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'NodeLifecycleEvent',
+        indexes: [
+            { fields: ['sourceNodeId'] },
+        ]
+    });
+
+    return NodeLifecycleEvent;
+};
@@ -18,7 +18,7 @@ module.exports = (sequelize, DataTypes) => {
             primaryKey: true,
             autoIncrement: true,
         },
-        address: DataTypes.STRING(15),
+        address: DataTypes.STRING(255),
     }, {
         sequelize,
         modelName: 'SourceNode',
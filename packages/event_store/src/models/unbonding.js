@@ -0,0 +1,64 @@
+const { Model } = require('sequelize');
+
+/**
+ * Unbonding of the stake, that returns to the unbonder after the unbonding delay. Each WriteWithdraw
+ * holds all the pending unbondings of the account, identical ones are told apart by the `sequence`.
+ */
+module.exports = (sequelize, DataTypes) => {
+    class Unbonding extends Model {
+        static associate(models) {}
+
+        toJSON() {
+            return {
+                unbonderPublicKey: this.unbonderPublicKey,
+                validatorPublicKey: this.validatorPublicKey,
+                bondingPurse: this.bondingPurse,
+                eraOfCreation: this.eraOfCreation,
+                amount: this.amount,
+                sequence: this.sequence,
+                deployHash: this.deployHash,
+                timestamp: this.timestamp,
+            }
+        }
+    }
+
+    Unbonding.init({
+        unbonderPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        validatorPublicKey: {
+            type: DataTypes.STRING(68),
+            primaryKey: true,
+        },
+        bondingPurse: {
+            type: DataTypes.STRING(74),
+            primaryKey: true,
+        },
+        eraOfCreation: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+        },
+        amount: {
+            type: DataTypes.BIGINT,
+            primaryKey: true,
+        },
+        sequence: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+        },
+        // The deploy, that the unbonding was seen first in
+        deployHash: DataTypes.STRING(64),
+        timestamp: DataTypes.DATE,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'Unbonding',
+        indexes: [
+            { fields: ['validatorPublicKey'] },
+            { fields: ['deployHash'] },
+        ]
+    });
+
+    return Unbonding;
+};
@@ -0,0 +1,247 @@
+const { Op } = require('sequelize');
+
+/**
+ * Derived tables, that can be rebuilt, with the way to find their rows for a stored
+ * DeployProcessed or BlockAdded event
+ */
+const deployTables = {
+    Deploy: event => ({ deployHash: event.deploy_hash }),
+    Transfer: event => ({ deployHash: event.deploy_hash }),
+    GenesisAccountTransfer: event => ({ deployHash: event.deploy_hash }),
+    Bid: event => ({ deployHash: event.deploy_hash }),
+    Withdrawal: event => ({ deployHash: event.deploy_hash }),
+    Contract: event => ({ deployHash: event.deploy_hash }),
+    ContractPackage: event => ({ deployHash: event.deploy_hash }),
+    AccountLedgerEntry: event => ({ deployHash: event.deploy_hash }),
+    Unbonding: event => ({ deployHash: event.deploy_hash }),
+};
+
+const blockTables = {
+    Block: event => ({ blockHeight: event.block.header.height }),
+    Era: event => event.block.header.era_end ? { id: event.block.header.era_id } : null,
+    ValidatorReward: event => event.block.header.era_end ? { eraId: event.block.header.era_id } : null,
+    DelegatorReward: event => event.block.header.era_end ? { eraId: event.block.header.era_id } : null,
+    EraValidator: event => event.block.header.era_end ? { eraId: event.block.header.era_id + 1 } : null,
+    // The rewards and the unbonding payouts of the era
+    AccountLedgerEntry: event => event.block.header.era_end ? { eraId: event.block.header.era_id, deployHash: null } : null,
+    // Taken from the node again
+    AuctionBid: event => event.block.header.era_end ? { eraId: event.block.header.era_id } : null,
+    AuctionDelegator: event => event.block.header.era_end ? { eraId: event.block.header.era_id } : null,
+};
+
+// Tables, that rows are only added to, so the replay just fills in the missing ones
+const registryTables = ['Account'];
+
+// Every delegation change builds on the previous one, so these are emptied and rebuilt together
+// from the first stored block
+const historyTables = ['Delegation', 'DelegationHistory'];
+
+/**
+ * Rebuilds derived tables by replaying the stored RawBlockAddedEvents, along with the
+ * RawDeployProcessedEvents of their deploys and the RawStepEvents of the switch blocks,
+ * through the same Storage handlers the live ingestion uses.
+ *
+ * Blocks are read in chunks ordered by height. Each block is rebuilt in a single transaction:
+ * the rows of the selected tables, that were derived from the block and its deploys, are
+ * deleted and written again, the other tables are left untouched.
+ */
+class Reindexer {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.models = storage.models;
+
+        // Models of the custom transform handlers are rebuilt by the deploy hash
+        this.deployTables = { ...deployTables };
+        for (let modelName of storage.transformHandlers.modelNames) {
+            if (this.models[modelName].rawAttributes.deployHash) {
+                this.deployTables[modelName] = event => ({ deployHash: event.deploy_hash });
+            }
+        }
+
+        const availableTables = [...new Set(Object.keys(this.deployTables).concat(Object.keys(blockTables), registryTables, historyTables))];
+        this.allTables = !options.tables;
+        this.options = {
+            tables: availableTables,
+            chunkSize: 100,
+            ...options
+        };
+
+        const unknownTables = this.options.tables.filter(table => !availableTables.includes(table));
+        if (unknownTables.length > 0) {
+            throw new Error(`Unknown tables: ${unknownTables.join(', ')}. Available tables: ${availableTables.join(', ')}`);
+        }
+
+        if (historyTables.some(table => this.options.tables.includes(table))) {
+            this.options.tables = [...new Set(this.options.tables.concat(historyTables))];
+        }
+
+        this.apiVersions = {};
+    }
+
+    /**
+     * Accepts either a height range ({fromHeight, toHeight}) or an era range ({fromEra, toEra}),
+     * both inclusive. Open ends reach the first or the last stored block.
+     */
+    async run(range = {}) {
+        let tables = this.options.tables;
+        if (Object.keys(range).some(key => range[key] !== null && range[key] !== undefined)) {
+            if (!this.allTables && historyTables.some(table => tables.includes(table))) {
+                throw new Error(`${historyTables.join(', ')} can only be rebuilt from all the stored blocks, without a height or era range`);
+            }
+
+            tables = tables.filter(table => !historyTables.includes(table));
+        }
+        const rebuildHistory = historyTables.some(table => tables.includes(table));
+
+        const { fromHeight, toHeight } = await this.getHeightRange(range);
+        if (fromHeight === null) {
+            console.log('Info: Nothing to reindex');
+            return { blocks: 0, deploys: 0 };
+        }
+
+        const total = await this.models.RawBlockAddedEvent.count({
+            where: { blockHeight: { [Op.between]: [fromHeight, toHeight] } },
+        });
+
+        console.log(`Info: Reindexing ${tables.join(', ')} from ${total} blocks between heights ${fromHeight} - ${toHeight}`);
+
+        const stats = { blocks: 0, deploys: 0 };
+        const previousWritableModels = this.storage.writableModels;
+        this.storage.writableModels = tables;
+
+        try {
+            if (rebuildHistory) {
+                for (let table of historyTables) {
+                    await this.models[table].destroy({ where: {} });
+                }
+            }
+
+            let lastHeight = fromHeight - 1;
+            while (lastHeight < toHeight) {
+                const rawBlocks = await this.models.RawBlockAddedEvent.findAll({
+                    where: { blockHeight: { [Op.between]: [lastHeight + 1, toHeight] } },
+                    order: [['blockHeight', 'ASC']],
+                    limit: this.options.chunkSize,
+                });
+
+                if (rawBlocks.length === 0) {
+                    break;
+                }
+
+                for (let rawBlock of rawBlocks) {
+                    stats.deploys += await this.reindexBlock(rawBlock);
+                    stats.blocks++;
+                }
+
+                lastHeight = rawBlocks[rawBlocks.length - 1].blockHeight;
+                console.log(`Info: Reindexed ${stats.blocks} / ${total} blocks (${Math.floor(stats.blocks / total * 100)}%), up to height ${lastHeight}`);
+            }
+        } finally {
+            this.storage.writableModels = previousWritableModels;
+        }
+
+        console.log(`Info: Reindex done. Replayed ${stats.blocks} blocks and ${stats.deploys} deploys`);
+
+        return stats;
+    }
+
+    async getHeightRange({ fromHeight = null, toHeight = null, fromEra = null, toEra = null }) {
+        if (fromEra !== null || toEra !== null) {
+            const where = {};
+            if (fromEra !== null) {
+                where[Op.gte] = fromEra;
+            }
+            if (toEra !== null) {
+                where[Op.lte] = toEra;
+            }
+
+            fromHeight = await this.models.Block.min('blockHeight', { where: { eraId: where } });
+            toHeight = await this.models.Block.max('blockHeight', { where: { eraId: where } });
+        }
+        else {
+            if (fromHeight === null) {
+                fromHeight = await this.models.RawBlockAddedEvent.min('blockHeight');
+            }
+            if (toHeight === null) {
+                toHeight = await this.models.RawBlockAddedEvent.max('blockHeight');
+            }
+        }
+
+        if (fromHeight === null || toHeight === null || isNaN(fromHeight) || isNaN(toHeight)) {
+            return { fromHeight: null, toHeight: null };
+        }
+
+        return { fromHeight, toHeight };
+    }
+
+    async reindexBlock(rawBlock) {
+        const blockEvent = JSON.parse(rawBlock.jsonBody).BlockAdded;
+        const apiVersion = await this.getApiVersion(rawBlock.apiVersionId);
+
+        const deployHashes = blockEvent.block.body.deploy_hashes.concat(blockEvent.block.body.transfer_hashes);
+        const rawDeploys = await this.models.RawDeployProcessedEvent.findAll({
+            where: { deployHash: deployHashes },
+        });
+
+        if (rawDeploys.length < deployHashes.length) {
+            console.warn(`Warning: Block ${blockEvent.block.header.height} has ${deployHashes.length} deploys, but only ${rawDeploys.length} of them are stored`);
+        }
+
+        // In the order of the block, the later deploys build on the earlier ones
+        const deployEvents = rawDeploys
+            .map(rawDeploy => JSON.parse(rawDeploy.jsonBody).DeployProcessed)
+            .sort((a, b) => deployHashes.indexOf(a.deploy_hash) - deployHashes.indexOf(b.deploy_hash));
+
+        // The rewards of the era come with the Step event
+        const rawStep = blockEvent.block.header.era_end
+            ? await this.models.RawStepEvent.findByPk(blockEvent.block.header.era_id)
+            : null;
+
+        // The node isn't asked within the transaction
+        const deployNodeData = [];
+        for (let deployEvent of deployEvents) {
+            deployNodeData.push(await this.storage.fetchNodeData({ DeployProcessed: deployEvent }, true));
+        }
+        const nodeData = await this.storage.fetchNodeData({ BlockAdded: blockEvent }, true);
+
+        await this.storage.transaction(async (transaction) => {
+            for (let [i, deployEvent] of deployEvents.entries()) {
+                await this.deleteRows(this.deployTables, deployEvent, transaction);
+                await this.storage.onDeployProcessedEvent(deployEvent, transaction, deployNodeData[i].deployBody || null);
+            }
+
+            await this.deleteRows(blockTables, blockEvent, transaction);
+            if (rawStep) {
+                await this.storage.onStepEvent(JSON.parse(rawStep.jsonBody).Step, transaction);
+            }
+            await this.storage.onBlockAddedEvent(blockEvent, apiVersion, transaction, nodeData);
+        });
+
+        return deployEvents.length;
+    }
+
+    async deleteRows(tables, event, transaction) {
+        for (let table in tables) {
+            if (!this.options.tables.includes(table)) {
+                continue;
+            }
+
+            const where = tables[table](event);
+            if (where !== null) {
+                await this.models[table].destroy({ where, transaction });
+            }
+        }
+    }
+
+    async getApiVersion(apiVersionId) {
+        if (!this.apiVersions[apiVersionId]) {
+            this.apiVersions[apiVersionId] = await this.models.ApiVersion.findByPk(apiVersionId);
+        }
+
+        return this.apiVersions[apiVersionId];
+    }
+}
+
+Reindexer.TABLES = [...new Set(Object.keys(deployTables).concat(Object.keys(blockTables), registryTables, historyTables))];
+
+module.exports = Reindexer;
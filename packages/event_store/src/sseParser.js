@@ -0,0 +1,140 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Decodes a text/event-stream body as described in the HTML Living Standard
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation)
+ * and pushes one `{id, event, data}` record per dispatched event.
+ *
+ * `id` is the value of the `id` field sent within the event itself, or `null` if the
+ * event did not carry one, so a record can always be checkpointed on its own.
+ */
+class SseParser extends Transform {
+    constructor() {
+        super({ readableObjectMode: true });
+
+        this.decoder = new StringDecoder('utf8');
+        this.buffer = '';
+        this.isStreamStart = true;
+        this.skipLineFeed = false;
+
+        this.lastEventId = null;
+        this.reconnectionTime = null;
+
+        this.resetEvent();
+    }
+
+    resetEvent() {
+        this.eventId = null;
+        this.eventType = '';
+        this.dataLines = [];
+    }
+
+    _transform(chunk, encoding, callback) {
+        try {
+            this.parse(typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+            callback();
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    _flush(callback) {
+        // Whatever is left after the last blank line is an incomplete event and gets discarded
+        this.parse(this.decoder.end());
+        callback();
+    }
+
+    parse(text) {
+        if (text.length === 0) {
+            return;
+        }
+
+        if (this.isStreamStart) {
+            this.isStreamStart = false;
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.substr(1);
+            }
+        }
+
+        // The previous chunk ended in the middle of a CRLF pair
+        if (this.skipLineFeed && text.startsWith('\n')) {
+            text = text.substr(1);
+        }
+        this.skipLineFeed = false;
+
+        this.buffer += text;
+
+        const lineEnd = /\r\n|\r|\n/g;
+        let position = 0;
+        let match;
+        while ((match = lineEnd.exec(this.buffer)) !== null) {
+            this.processLine(this.buffer.substring(position, match.index));
+            position = lineEnd.lastIndex;
+        }
+
+        this.skipLineFeed = this.buffer.endsWith('\r');
+        this.buffer = this.buffer.substring(position);
+    }
+
+    processLine(line) {
+        if (line === '') {
+            this.dispatchEvent();
+            return;
+        }
+
+        // Comments, e.g. the keepalives
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        let field = line;
+        let value = '';
+
+        const colonPosition = line.indexOf(':');
+        if (colonPosition !== -1) {
+            field = line.substring(0, colonPosition);
+            value = line.substring(colonPosition + 1);
+            if (value.startsWith(' ')) {
+                value = value.substr(1);
+            }
+        }
+
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'data':
+                this.dataLines.push(value);
+                break;
+            case 'id':
+                if (!value.includes('\0')) {
+                    this.eventId = value;
+                    this.lastEventId = value;
+                }
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) {
+                    this.reconnectionTime = parseInt(value);
+                    this.emit('retry', this.reconnectionTime);
+                }
+                break;
+            default:
+                // Unknown fields are ignored
+        }
+    }
+
+    dispatchEvent() {
+        if (this.dataLines.length > 0) {
+            this.push({
+                id: this.eventId,
+                event: this.eventType || 'message',
+                data: this.dataLines.join('\n'),
+            });
+        }
+
+        this.resetEvent();
+    }
+}
+
+module.exports = SseParser;
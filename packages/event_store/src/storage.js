@@ -1,8 +1,20 @@
+const path = require('path');
 const sequelize = require('sequelize');
 const { Op, QueryTypes } = sequelize;
 const { BigNumber } = require('@ethersproject/bignumber');
 
-const { formatDate } = require('./utility');
+const { formatDate, parseTtl, decodeRuntimeArgs, publicKeyToAccountHash, isPublicKeyHex } = require('./utility');
+const TransformHandlerRegistry = require('./transformHandlerRegistry');
+const DeployClassifier = require('./deployClassifier');
+
+// How many times a transaction, that MySQL rolled back to break a deadlock, is run
+const DEADLOCK_ATTEMPTS = 5;
+
+const isDeadlock = (err) => {
+    const cause = err.original || err.parent;
+
+    return !!cause && (cause.code === 'ER_LOCK_DEADLOCK' || cause.errno === 1213);
+};
 
 class Storage {
     constructor(models, casperClient, pubsub = null) {
@@ -12,6 +24,74 @@ class Storage {
 
         this.withGenesisAccountsTracking = false;
         this.genesisAccountHashesMap = {};
+
+        this.transformHandlers = new TransformHandlerRegistry(models);
+        this.transformHandlers.loadDirectory(path.join(__dirname, 'transformHandlers'));
+        this.deployClassifier = new DeployClassifier();
+
+        // Eras, after which the unbonded amounts return to the main purse
+        this.unbondingDelay = 7;
+
+        this.sqliteTransactions = Promise.resolve();
+
+        // Models, that storeEntity writes to, null for all of them. Used when rebuilding derived tables.
+        this.writableModels = null;
+    }
+
+    /**
+     * Takes the delay from the config or the environment, the default is kept if it's not set or invalid
+     */
+    setUnbondingDelay(unbondingDelay) {
+        if (unbondingDelay === undefined || unbondingDelay === null || unbondingDelay === '') {
+            return;
+        }
+
+        if (!Number.isInteger(Number(unbondingDelay)) || Number(unbondingDelay) < 0) {
+            console.warn(`Warning: Invalid unbonding delay "${unbondingDelay}", using ${this.unbondingDelay}`);
+            return;
+        }
+
+        this.unbondingDelay = Number(unbondingDelay);
+    }
+
+    isWritable(model) {
+        return this.writableModels === null || this.writableModels.includes(model);
+    }
+
+    /**
+     * Deploys are stored in parallel and lock the rows they share with other deploys, like the
+     * contract versions of a package. MySQL breaks a deadlock between two of them by rolling one
+     * back as a whole, so that one is simply run again.
+     */
+    async transaction(callback) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.runTransaction(callback);
+            } catch (err) {
+                if (!isDeadlock(err) || attempt >= DEADLOCK_ATTEMPTS) {
+                    throw err;
+                }
+
+                console.warn(`Warning: Transaction was rolled back on a deadlock, running it again (attempt ${attempt} of ${DEADLOCK_ATTEMPTS})`);
+                // Some jitter, so the two transactions don't meet again
+                await new Promise(resolve => setTimeout(resolve, Math.round(Math.random() * 50 * attempt)));
+            }
+        }
+    }
+
+    /**
+     * SQLite can't run concurrent write transactions, so with SQLite the transactions
+     * of all the event streams run one after another
+     */
+    runTransaction(callback) {
+        if (this.models.sequelize.getDialect() !== 'sqlite') {
+            return this.models.sequelize.transaction(callback);
+        }
+
+        const result = this.sqliteTransactions.then(() => this.models.sequelize.transaction(callback));
+        this.sqliteTransactions = result.catch(() => {});
+
+        return result;
     }
 
     async enableGenesisAccountsTracking() {
@@ -19,9 +99,13 @@ class Storage {
         this.genesisAccountHashesMap = await this.getGenesisAccountHashesMap();
     }
 
-    async storeEntity(model, entity) {
+    async storeEntity(model, entity, transaction = null) {
+        if (!this.isWritable(model)) {
+            return null;
+        }
+
         try {
-            return await this.models[model].create(entity);
+            return await this.models[model].create(entity, { transaction });
         }
         catch (err) {
             if (err instanceof sequelize.UniqueConstraintError) {
@@ -35,70 +119,326 @@ class Storage {
         }
     }
 
-    async onEventId(sourceNodeId, apiVersionId, eventStreamId, id) {
+    async updateEntity(model, values, options) {
+        if (!this.isWritable(model)) {
+            return;
+        }
+
+        return await this.models[model].update(values, options);
+    }
+
+    /**
+     * Registers the account hashes of the public keys. Keys, that are registered already, are skipped.
+     */
+    async storeAccounts(publicKeys, transaction = null) {
+        if (!this.isWritable('Account')) {
+            return;
+        }
+
+        const accounts = {};
+        for (let publicKey of publicKeys) {
+            if (isPublicKeyHex(publicKey)) {
+                publicKey = publicKey.toLowerCase();
+                accounts[publicKey] = { accountHash: publicKeyToAccountHash(publicKey), publicKey };
+            }
+        }
+
+        if (Object.keys(accounts).length > 0) {
+            await this.models.Account.bulkCreate(Object.values(accounts), { ignoreDuplicates: true, transaction });
+        }
+    }
+
+    async onEventId(sourceNodeId, apiVersionId, eventStreamId, id, transaction = null) {
         console.log(`Info: Processing id ${id} from source node ${sourceNodeId}, stream path ${eventStreamId}, protocol version ${apiVersionId}`);
-        this.storeEntity('EventId', { sourceNodeId, apiVersionId, eventStreamId, id });
+        const eventId = { sourceNodeId, apiVersionId, eventStreamId, id };
+
+        if (transaction) {
+            await this.storeEntity('EventId', eventId, transaction);
+        } else {
+            await this.transaction(transaction => this.storeEntity('EventId', eventId, transaction));
+        }
     }
 
-    async onEvent(sourceNodeId, apiVersion, jsonBody) {
+    /**
+     * Stores the event with everything derived from it and the checkpoint, returned by
+     * getCheckpoint (if any), in a single transaction, so a crash never leaves half an event
+     */
+    async onStreamEvent(sourceNodeId, apiVersion, eventStreamId, jsonBody, getCheckpoint = () => null) {
+        const nodeData = await this.fetchNodeData(JSON.parse(jsonBody));
+
+        await this.transaction(async (transaction) => {
+            await this.onEvent(sourceNodeId, apiVersion, jsonBody, transaction, nodeData);
+
+            const checkpoint = getCheckpoint();
+            if (checkpoint !== null) {
+                await this.onEventId(sourceNodeId, apiVersion.id, eventStreamId, checkpoint, transaction);
+            }
+        });
+    }
+
+    /**
+     * Keeps the event, that couldn't be stored, to be looked into, and moves the checkpoint past
+     * it in the same transaction, so the stream doesn't get stuck on it
+     */
+    async onFailedEvent(sourceNodeId, apiVersion, eventStreamId, eventId, eventType, jsonBody, error, getCheckpoint = () => null) {
+        await this.transaction(async (transaction) => {
+            await this.storeEntity('FailedEvent', {
+                sourceNodeId,
+                apiVersionId: apiVersion.id,
+                eventStreamId,
+                eventId,
+                eventType,
+                jsonBody,
+                error: String(error),
+            }, transaction);
+
+            const checkpoint = getCheckpoint();
+            if (checkpoint !== null) {
+                await this.onEventId(sourceNodeId, apiVersion.id, eventStreamId, checkpoint, transaction);
+            }
+        });
+    }
+
+    /**
+     * Data of the event, that has to be requested from the node. It's fetched before the transaction
+     * of the event is opened, so that a slow node never holds the database, and handed to the handlers.
+     * With `refetch` the data is fetched even if the event has been stored already, for the reindex.
+     */
+    async fetchNodeData(event, refetch = false) {
+        if (event.DeployProcessed) {
+            return await this.fetchDeployProcessedData(event.DeployProcessed, refetch);
+        }
+
+        if (event.BlockAdded) {
+            return await this.fetchSwitchBlockData(event.BlockAdded, refetch);
+        }
+
+        return {};
+    }
+
+    async fetchDeployProcessedData(event, refetch = false) {
+        if (!this.isWritable('Deploy') && !this.isWritable('AccountLedgerEntry')) {
+            return {};
+        }
+
+        // Another node sent the deploy first
+        if (!refetch && await this.models.Deploy.findByPk(event.deploy_hash)) {
+            return {};
+        }
+
+        return { deployBody: await this.fetchDeployBody(event.deploy_hash) };
+    }
+
+    /**
+     * A switch block needs the bids of the auction at its height. The rewards normally come with
+     * the Step event, the node is only asked for them if the Step event of the era is not stored yet.
+     */
+    async fetchSwitchBlockData(event, refetch = false) {
+        const header = event.block.header;
+        if (!header.era_end || !this.casperClient) {
+            return {};
+        }
+
+        // The era end has been handled already if another node sent the block first
+        if (!refetch && await this.models.Block.findOne({ where: { blockHeight: header.height } })) {
+            return {};
+        }
+
+        const nodeData = {};
+        if ((this.isWritable('ValidatorReward') || this.isWritable('DelegatorReward')) &&
+            !await this.models.RawStepEvent.findByPk(header.era_id)) {
+            try {
+                nodeData.eraSummary = await this.casperClient.getEraInfoBySwitchBlockHeight(header.height);
+            } catch (err) {
+                console.warn(`Warning: Could not fetch the rewards of era ${header.era_id} from the node, they will be stored from the Step event: ${err.message}`);
+            }
+        }
+
+        if (this.isWritable('AuctionBid') || this.isWritable('AuctionDelegator')) {
+            try {
+                nodeData.auctionState = await this.casperClient.getAuctionInfo(header.height);
+            } catch (err) {
+                console.warn(`Warning: Could not fetch the auction of era ${header.era_id} from the node: ${err.message}`);
+            }
+        }
+
+        return nodeData;
+    }
+
+    /**
+     * Within a transaction the node is never asked, the data fetched by fetchNodeData before
+     * opening it should be given
+     */
+    async onEvent(sourceNodeId, apiVersion, jsonBody, transaction = null, nodeData = null) {
         const event = JSON.parse(jsonBody);
 
         if (event.DeployAccepted) {
-            this.storeEntity('RawDeployAcceptedEvent', {
+            await this.storeEntity('RawDeployAcceptedEvent', {
                 sourceNodeId,
                 apiVersionId: apiVersion.id,
                 deployHash: event.DeployAccepted.hash,
                 jsonBody,
-            });
+            }, transaction);
+
+            await this.onDeployAcceptedEvent(event.DeployAccepted, transaction);
         } else if (event.DeployProcessed) {
-            this.storeEntity('RawDeployProcessedEvent', {
+            await this.storeEntity('RawDeployProcessedEvent', {
                 sourceNodeId,
                 apiVersionId: apiVersion.id,
                 deployHash: event.DeployProcessed.deploy_hash,
                 jsonBody,
-            });
+            }, transaction);
 
-            this.onDeployProcessedEvent(event.DeployProcessed);
+            await this.onDeployProcessedEvent(event.DeployProcessed, transaction, nodeData ? nodeData.deployBody : null);
         } else if (event.BlockAdded) {
-            this.storeEntity('RawBlockAddedEvent', {
+            await this.storeEntity('RawBlockAddedEvent', {
                 sourceNodeId,
                 apiVersionId: apiVersion.id,
                 blockHeight: event.BlockAdded.block.header.height,
                 jsonBody,
-            });
+            }, transaction);
 
-            this.onBlockAddedEvent(event.BlockAdded, apiVersion);
+            await this.onBlockAddedEvent(event.BlockAdded, apiVersion, transaction, nodeData);
         } else if (event.FinalitySignature) {
-            this.storeEntity('RawFinalitySignatureEvent', {
+            await this.storeEntity('RawFinalitySignatureEvent', {
                 sourceNodeId,
                 apiVersionId: apiVersion.id,
                 signature: event.FinalitySignature.signature,
                 jsonBody,
-            });
+            }, transaction);
 
-            this.onFinalitySignatureEvent(event.FinalitySignature);
+            await this.onFinalitySignatureEvent(event.FinalitySignature, transaction);
         } else if (event.Step) {
-            this.storeEntity('RawStepEvent', {
+            await this.storeEntity('RawStepEvent', {
                 sourceNodeId,
                 apiVersionId: apiVersion.id,
                 eraId: event.Step.era_id,
                 jsonBody,
-            });
+            }, transaction);
+
+            await this.onStepEvent(event.Step, transaction);
+        } else if (event.Fault) {
+            await this.onFaultEvent(event.Fault, transaction);
+        } else if (event.DeployExpired) {
+            await this.onDeployExpiredEvent(event.DeployExpired, transaction);
+        } else if (event === 'Shutdown') {
+            // Unlike the other events, Shutdown is sent as a bare string
+            await this.onShutdownEvent(sourceNodeId, transaction);
         }
         else {
             const keys = Object.keys(event);
             const eventType = keys.length > 0 ? keys[0] : '';
 
-            this.storeEntity('RawUnrecognizedEvent', {
+            await this.storeEntity('RawUnrecognizedEvent', {
                 sourceNodeId,
                 apiVersionId: apiVersion.id,
                 eventType,
                 jsonBody,
+            }, transaction);
+        }
+    }
+
+    async onDeployAcceptedEvent(event, transaction = null) {
+        console.log(`Info: Processing DeployAccepted event. DeployHash: ${event.hash}.`);
+
+        if (!event.header) {
+            console.warn(`Warning: DeployAccepted event of deploy ${event.hash} has no header`);
+            return;
+        }
+
+        await this.storeAccounts([event.header.account], transaction);
+
+        const ttl = parseTtl(event.header.ttl);
+        if (ttl === null) {
+            console.warn(`Warning: Unknown ttl format "${event.header.ttl}" of deploy ${event.hash}`);
+        }
+
+        await this.storeEntity('AcceptedDeploy', {
+            deployHash: event.hash,
+            account: event.header.account,
+            timestamp: event.header.timestamp,
+            ttl: event.header.ttl,
+            expiresAt: ttl !== null ? new Date(Date.parse(event.header.timestamp) + ttl) : null,
+            dependencies: event.header.dependencies,
+            chainName: event.header.chain_name,
+            gasPrice: event.header.gas_price,
+            bodyHash: event.header.body_hash,
+            acceptedAt: new Date(),
+        }, transaction);
+
+        // The deploy can be processed before it's accepted, when they come from different streams
+        const sessionDetails = this.getDeploySessionDetails(event);
+        const rawDeployProcessed = sessionDetails.sessionType
+            ? await this.models.RawDeployProcessedEvent.findByPk(event.hash, { transaction })
+            : null;
+        if (rawDeployProcessed) {
+            await this.updateEntity('Deploy', {
+                ...sessionDetails,
+                type: this.deployClassifier.classify(JSON.parse(rawDeployProcessed.jsonBody).DeployProcessed, event),
+            }, {
+                where: { deployHash: event.hash, sessionType: null },
+                transaction,
             });
         }
     }
 
-    async onDeployProcessedEvent(event) {
+    /**
+     * Session and payment details of the deploy body, that comes with the DeployAccepted
+     * event or from the info_get_deploy RPC request
+     */
+    getDeploySessionDetails(deploy) {
+        if (!deploy.session || !deploy.payment) {
+            return {};
+        }
+
+        const sessionType = Object.keys(deploy.session)[0];
+        const session = deploy.session[sessionType];
+        const payment = deploy.payment[Object.keys(deploy.payment)[0]];
+        const paymentAmount = decodeRuntimeArgs(payment.args).amount;
+
+        return {
+            sessionType,
+            contractHash: session.hash ? session.hash : null,
+            contractName: session.name ? session.name : null,
+            entryPoint: session.entry_point ? session.entry_point : null,
+            sessionArgs: decodeRuntimeArgs(session.args),
+            paymentAmount: typeof paymentAmount === 'string' || typeof paymentAmount === 'number' ? paymentAmount : null,
+        };
+    }
+
+    async findDeployBody(deployHash, transaction = null) {
+        const rawDeployAccepted = await this.models.RawDeployAcceptedEvent.findByPk(deployHash, { transaction });
+
+        return rawDeployAccepted ? JSON.parse(rawDeployAccepted.jsonBody).DeployAccepted : null;
+    }
+
+    /**
+     * Looks the body up in the stored DeployAccepted events or requests it from the node.
+     * Never called within a transaction.
+     */
+    async fetchDeployBody(deployHash) {
+        const deployBody = await this.findDeployBody(deployHash);
+        if (deployBody || !this.casperClient) {
+            return deployBody;
+        }
+
+        try {
+            const { deploy } = await this.casperClient.getDeploy(deployHash);
+
+            return deploy;
+        } catch (err) {
+            // The details can be filled in later by the reindex, the deploy itself shouldn't be lost
+            console.warn(`Warning: Could not fetch the session of deploy ${deployHash}: ${err.message}`);
+
+            return null;
+        }
+    }
+
+    /**
+     * The body of the deploy can be given when it's already known, otherwise it's looked up
+     * in the stored DeployAccepted events. The node is only asked outside of a transaction.
+     */
+    async onDeployProcessedEvent(event, transaction = null, deployBody = null) {
         console.log(`Info: Processing DeployProcessed event. DeployHash: ${event.deploy_hash}.`);
 
         let deployData = {
@@ -108,6 +448,20 @@ class Storage {
             timestamp: event.timestamp,
         };
 
+        if (this.isWritable('Deploy') || this.isWritable('AccountLedgerEntry')) {
+            if (!deployBody) {
+                deployBody = transaction
+                    ? await this.findDeployBody(event.deploy_hash, transaction)
+                    : await this.fetchDeployBody(event.deploy_hash);
+            }
+
+            deployData = {
+                ...deployData,
+                ...(deployBody ? this.getDeploySessionDetails(deployBody) : {}),
+                type: this.deployClassifier.classify(event, deployBody),
+            };
+        }
+
         if (event.execution_result.Success) {
             let result = event.execution_result.Success;
             deployData.cost = result.cost;
@@ -118,84 +472,139 @@ class Storage {
             deployData.cost = result.cost;
         }
 
-        const result = this.storeEntity('Deploy', deployData);
+        const deploy = await this.storeEntity('Deploy', deployData, transaction);
 
-        if (result !== false && event.execution_result.Success) {
+        if (deploy !== false && event.execution_result.Success) {
             let result = event.execution_result.Success;
-            let transferHashes = result.transfers;
 
             for (let transform of result.effect.transforms) {
-                if (transferHashes.includes(transform.key)) {
-                    let transferEvent = transform.transform.WriteTransfer;
-
-                    let transfer = {
-                        transferHash: transform.key,
-                        deployHash: deployData.deployHash,
-                        blockHash: deployData.blockHash,
-                        fromAccount: transferEvent.from.substring(13),
-                        toAccount: transferEvent.to
-                            ? transferEvent.to.substring(13)
-                            : null,
-                        sourcePurse: transferEvent.source,
-                        targetPurse: transferEvent.target,
-                        amount: transferEvent.amount,
-                        transferId: transferEvent.id,
-                        timestamp: event.timestamp,
-                    };
-
-                    this.storeEntity('Transfer', transfer);
-
-                    if (
-                        this.withGenesisAccountsTracking &&
-                        this.genesisAccountHashesMap.hasOwnProperty(transfer.fromAccount)
-                    ) {
-                        // If the genesis accounts tracking is enabled and the transfer comes
-                        // from a genesis account then let's track the transfer separately
-                        this.storeEntity('GenesisAccountTransfer', {
-                            ...transfer,
-                            isInternal: this.genesisAccountHashesMap.hasOwnProperty(transfer.toAccount) ? 1 : 0,
-                            isIgnored: BigNumber.from(transfer.amount).gte('5000000000000000'), // 5 million tokens
-                            isReviewed: 0,
-                        });
-                    }
-                }
+                await this.transformHandlers.handle(transform, event, result.transfers, this, transaction);
+            }
+        }
 
-                if (transform.transform) {
-                    if (transform.transform.WriteBid) {
-                        let bidEvent = transform.transform.WriteBid;
-                        this.storeEntity('Bid', {
-                            key: transform.key,
-                            deployHash: event.deploy_hash,
-                            validatorPublicKey: bidEvent.validator_public_key,
-                            bondingPurse: bidEvent.bonding_purse,
-                            stakedAmount: bidEvent.staked_amount,
-                            delegationRate: bidEvent.delegation_rate,
-                            inactive: bidEvent.inactive,
-                            vestingSchedule: bidEvent.vesting_schedule,
-                            delegators: bidEvent.delegators,
-                            timestamp: event.timestamp,
-                        });
-                    }
-                    else if (transform.transform.WriteWithdraw) {
-                        for (let withdrawalEvent of transform.transform.WriteWithdraw) {
-                            this.storeEntity('Withdrawal', {
-                                key: transform.key,
-                                deployHash: event.deploy_hash,
-                                validatorPublicKey: withdrawalEvent.validator_public_key,
-                                unbonderPublicKey: withdrawalEvent.unbonder_public_key,
-                                bondingPurse: withdrawalEvent.bonding_purse,
-                                amount: withdrawalEvent.amount,
-                                eraOfCreation: withdrawalEvent.era_of_creation,
-                                timestamp: event.timestamp,
-                            });
-                        }
+        if (deploy !== false) {
+            await this.storeAccounts([event.account], transaction);
+            await this.storeDeployLedgerEntries(event, deployData, transaction);
+        }
+
+        if (this.pubsub !== null && deploy) {
+            this.pubsub.broadcast_deploy(await deploy.toJSON());
+        }
+    }
+
+    /**
+     * Ledger entries of the deploy account: the cost of the deploy and the stake moving between
+     * the liquid, the staked and the unbonding parts of the balance
+     */
+    async storeDeployLedgerEntries(event, deployData, transaction = null) {
+        if (!this.isWritable('AccountLedgerEntry')) {
+            return;
+        }
+
+        const ledgerEntry = {
+            accountHash: publicKeyToAccountHash(event.account),
+            reference: event.deploy_hash,
+            deployHash: event.deploy_hash,
+            eraId: null,
+            timestamp: event.timestamp,
+        };
+
+        await this.storeEntity('AccountLedgerEntry', {
+            ...ledgerEntry,
+            kind: 'fee',
+            liquid: BigNumber.from(deployData.cost).mul(-1).toString(),
+            staked: 0,
+            unbonding: 0,
+        }, transaction);
+
+        const result = event.execution_result.Success;
+        const amount = deployData.sessionArgs ? deployData.sessionArgs.amount : undefined;
+        if (!result || (typeof amount !== 'string' && typeof amount !== 'number')) {
+            return;
+        }
+
+        if (deployData.type === 'delegate' || deployData.type === 'add_bid') {
+            await this.storeEntity('AccountLedgerEntry', {
+                ...ledgerEntry,
+                kind: 'stake',
+                liquid: BigNumber.from(amount).mul(-1).toString(),
+                staked: String(amount),
+                unbonding: 0,
+            }, transaction);
+        }
+        else if (deployData.type === 'undelegate' || deployData.type === 'withdraw_bid') {
+            // The unbonding delay is counted from the era, that the withdrawal was created in
+            let eraOfCreation = null;
+            for (let transform of result.effect.transforms) {
+                if (TransformHandlerRegistry.getTransformType(transform) === 'WriteWithdraw') {
+                    for (let withdrawal of transform.transform.WriteWithdraw) {
+                        eraOfCreation = Math.max(eraOfCreation, withdrawal.era_of_creation);
                     }
                 }
             }
+
+            await this.storeEntity('AccountLedgerEntry', {
+                ...ledgerEntry,
+                kind: 'unbond',
+                liquid: 0,
+                staked: BigNumber.from(amount).mul(-1).toString(),
+                unbonding: String(amount),
+                eraId: eraOfCreation,
+            }, transaction);
         }
+    }
 
-        if (this.pubsub !== null) {
-            this.pubsub.broadcast_deploy(await deploy.toJSON());
+    /**
+     * The genesis balances open the ledger, they are stored along with the genesis block
+     */
+    async storeOpeningBalances(timestamp, transaction = null) {
+        if (!this.isWritable('AccountLedgerEntry')) {
+            return;
+        }
+
+        const genesisAccounts = await this.models.GenesisAccount.findAll({ transaction });
+        await this.storeAccounts(genesisAccounts.map(genesisAccount => genesisAccount.publicKey), transaction);
+
+        await this.models.AccountLedgerEntry.bulkCreate(genesisAccounts.map(genesisAccount => ({
+            accountHash: genesisAccount.accountHash,
+            kind: 'opening',
+            reference: 'genesis',
+            liquid: String(genesisAccount.balance),
+            staked: 0,
+            unbonding: 0,
+            deployHash: null,
+            eraId: null,
+            timestamp,
+        })), { ignoreDuplicates: true, transaction });
+    }
+
+    /**
+     * Unbonded amounts return to the main purse at the end of the era, that closes the unbonding delay
+     */
+    async storeUnbondingPayouts(eraId, timestamp, transaction = null) {
+        if (!this.isWritable('AccountLedgerEntry')) {
+            return;
+        }
+
+        const unbonds = await this.models.AccountLedgerEntry.findAll({
+            where: { kind: 'unbond', eraId: eraId - this.unbondingDelay },
+            transaction,
+        });
+
+        for (let unbond of unbonds) {
+            const amount = BigNumber.from(String(unbond.unbonding));
+
+            await this.storeEntity('AccountLedgerEntry', {
+                accountHash: unbond.accountHash,
+                kind: 'unbonding_payout',
+                reference: unbond.reference,
+                liquid: amount.toString(),
+                staked: 0,
+                unbonding: amount.mul(-1).toString(),
+                deployHash: null,
+                eraId,
+                timestamp,
+            }, transaction);
         }
     }
 
@@ -209,13 +618,17 @@ class Storage {
             (v1Parts[0] === v2Parts[0] && v1Parts[1] === v2Parts[1] && v1Parts[2] === v2Parts[2]);
     }
 
-    async onBlockAddedEvent(event, apiVersion) {
+    async onBlockAddedEvent(event, apiVersion, transaction = null, nodeData = null) {
+        if (nodeData === null) {
+            nodeData = transaction ? {} : await this.fetchSwitchBlockData(event);
+        }
+
         const deployCount = event.block.body.deploy_hashes.length;
         const transferCount = event.block.body.transfer_hashes.length;
 
         console.log(`Info: Processing BlockAdded event. BlockHash: ${event.block_hash}`);
 
-        this.storeEntity('Block', {
+        const block = await this.storeEntity('Block', {
             blockHash: event.block.hash,
             blockHeight: event.block.header.height,
             parentHash: event.block.header.parent_hash,
@@ -225,73 +638,92 @@ class Storage {
             transferCount: transferCount,
             eraId: event.block.header.era_id,
             proposer: event.block.body.proposer,
-        });
+        }, transaction);
+
+        if (block !== false) {
+            await this.storeAccounts([event.block.body.proposer], transaction);
+        }
+
+        if (block !== false && event.block.header.height === 0) {
+            await this.storeOpeningBalances(event.block.header.timestamp, transaction);
+        }
 
-        if (event.block.header.era_end) {
-            this.storeEntity('Era', {
+        // The era end has been handled already if another node sent the block first
+        if (block !== false && event.block.header.era_end) {
+            const nextEraValidatorWeights = event.block.header.era_end.next_era_validator_weights;
+            await this.storeAccounts(
+                Array.isArray(nextEraValidatorWeights)
+                    ? nextEraValidatorWeights.map(validator => validator.validator)
+                    : Object.keys(nextEraValidatorWeights || {}),
+                transaction
+            );
+
+            await this.storeEntity('Era', {
                 id: event.block.header.era_id,
                 endBlockHeight: event.block.header.height,
                 endTimestamp: event.block.header.timestamp,
                 protocolVersion: event.block.header.protocol_version,
-            });
+            }, transaction);
 
-            const eraSummary = await this.casperClient.getEraInfoBySwitchBlockHeight(event.block.header.height);
+            await this.onSwitchBlockRewards(
+                event.block.header.era_id,
+                event.block.header.timestamp,
+                nodeData.eraSummary || null,
+                transaction
+            );
 
-            for (const reward of eraSummary.stored_value.EraInfo.seigniorage_allocations) {
-                if (reward.Validator) {
-                    this.storeEntity('ValidatorReward', {
-                        eraId: eraSummary.era_id,
-                        publicKey: reward.Validator.validator_public_key,
-                        amount: reward.Validator.amount,
-                        timestamp: event.block.header.timestamp,
-                    });
-                }
-                else if (reward.Delegator) {
-                    this.storeEntity('DelegatorReward', {
-                        eraId: eraSummary.era_id,
-                        publicKey: reward.Delegator.delegator_public_key,
-                        validatorPublicKey: reward.Delegator.validator_public_key,
-                        amount: reward.Delegator.amount,
-                        timestamp: event.block.header.timestamp,
-                    });
-                }
-            }
+            await this.storeUnbondingPayouts(event.block.header.era_id, event.block.header.timestamp, transaction);
+
+            await this.storeAuctionSnapshot(event.block.header.era_id, nodeData.auctionState || null, transaction);
 
             if (this.isVersionGreaterOrEqual(apiVersion.version, '1.2.0')) {
                 for (let validator of event.block.header.era_end.next_era_validator_weights) {
-                    this.storeEntity('EraValidator', {
+                    await this.storeEntity('EraValidator', {
                         eraId: event.block.header.era_id + 1,
                         publicKeyHex: validator.validator,
                         weight: validator.weight,
                         rewards: 0,
                         hasEquivocation: 0,
                         wasActive: 0,
-                    });
+                    }, transaction);
                 }
             }
             else {
                 for (let publicKeyHex in event.block.header.era_end.next_era_validator_weights) {
-                    this.storeEntity('EraValidator', {
+                    await this.storeEntity('EraValidator', {
                         eraId: event.block.header.era_id + 1,
                         publicKeyHex: publicKeyHex,
                         weight: event.block.header.era_end.next_era_validator_weights[publicKeyHex],
                         rewards: 0,
                         hasEquivocation: 0,
                         wasActive: 0,
-                    });
+                    }, transaction);
                 }
             }
 
+            // Signatures of the next era, that came before its validators were known, carry their weight now
+            await this.updateEntity('BlockSignedWeight', {
+                signedWeight: sequelize.literal(
+                    '(SELECT COALESCE(SUM(`EraValidators`.`weight`), 0) FROM `EraValidators` ' +
+                    'WHERE `EraValidators`.`eraId` = `BlockSignedWeights`.`eraId` AND `EraValidators`.`publicKeyHex` IN ' +
+                    '(SELECT `publicKey` FROM `FinalitySignatures` WHERE `FinalitySignatures`.`blockHash` = `BlockSignedWeights`.`blockHash`))'
+                ),
+            }, {
+                where: { eraId: event.block.header.era_id + 1 },
+                transaction,
+            });
+
             const updatedValidators = [];
             if (this.isVersionGreaterOrEqual(apiVersion.version, '1.2.0')) {
                 for (let validator of event.block.header.era_end.era_report.rewards) {
                     updatedValidators.push(validator.validator);
 
-                    this.models.EraValidator.update({
+                    await this.updateEntity('EraValidator', {
                         rewards: validator.amount,
                         hasEquivocation: event.block.header.era_end.era_report.equivocators.includes(validator.validator),
                         wasActive: !event.block.header.era_end.era_report.inactive_validators.includes(validator.validator),
                     }, {
+                        transaction,
                         where: {
                             eraId: event.block.header.era_id,
                             publicKeyHex: validator.validator,
@@ -303,11 +735,12 @@ class Storage {
                 for (let publicKeyHex in event.block.header.era_end.era_report.rewards) {
                     updatedValidators.push(publicKeyHex);
 
-                    this.models.EraValidator.update({
+                    await this.updateEntity('EraValidator', {
                         rewards: event.block.header.era_end.era_report.rewards[publicKeyHex],
                         hasEquivocation: event.block.header.era_end.era_report.equivocators.includes(publicKeyHex),
                         wasActive: !event.block.header.era_end.era_report.inactive_validators.includes(publicKeyHex),
                     }, {
+                        transaction,
                         where: {
                             eraId: event.block.header.era_id,
                             publicKeyHex: publicKeyHex,
@@ -323,10 +756,11 @@ class Storage {
 
                 updatedValidators.push(publicKeyHex);
 
-                this.models.EraValidator.update({
+                await this.updateEntity('EraValidator', {
                     hasEquivocation: true,
                     wasActive: !event.block.header.era_end.era_report.inactive_validators.includes(publicKeyHex),
                 }, {
+                    transaction,
                     where: {
                         eraId: event.block.header.era_id,
                         publicKeyHex: publicKeyHex,
@@ -339,9 +773,10 @@ class Storage {
                     continue;
                 }
 
-                this.models.EraValidator.update({
+                await this.updateEntity('EraValidator', {
                     wasActive: false,
                 }, {
+                    transaction,
                     where: {
                         eraId: event.block.header.era_id,
                         publicKeyHex: publicKeyHex,
@@ -350,13 +785,207 @@ class Storage {
             }
         }
 
-        if(this.pubsub !== null) {
+        if (this.pubsub !== null && block) {
             this.pubsub.broadcast_block(await block.toJSON());
         }
     }
 
+    /**
+     * The rewards normally come with the Step event. The era summary fetched from the node is
+     * only used, if the switch block comes first and the Step event is not stored yet.
+     */
+    async onSwitchBlockRewards(eraId, timestamp, eraSummary = null, transaction = null) {
+        // The Step event doesn't have a timestamp, it comes with the switch block
+        await this.updateEntity('AccountLedgerEntry', { timestamp }, {
+            where: { eraId, kind: 'reward', timestamp: null },
+            transaction,
+        });
+
+        if (!this.isWritable('ValidatorReward') && !this.isWritable('DelegatorReward')) {
+            return;
+        }
+
+        let storedRewardCount = 0;
+        for (let model of ['ValidatorReward', 'DelegatorReward']) {
+            if (this.isWritable(model)) {
+                storedRewardCount += await this.models[model].count({ where: { eraId }, transaction });
+            }
+        }
+
+        if (storedRewardCount > 0) {
+            for (let model of ['ValidatorReward', 'DelegatorReward']) {
+                await this.updateEntity(model, { timestamp }, { where: { eraId, timestamp: null }, transaction });
+            }
+
+            return;
+        }
+
+        if (!eraSummary) {
+            console.warn(`Warning: Rewards of era ${eraId} will be stored from the Step event`);
+            return;
+        }
+
+        await this.storeEraRewards(eraId, eraSummary.stored_value.EraInfo.seigniorage_allocations, timestamp, transaction);
+    }
+
+    /**
+     * Bids change only with the deploys, so the full bid set is taken from the node at the end
+     * of every era to have the validators, whose bids were written before the stored events.
+     * The auction state is fetched by fetchNodeData before the transaction opens.
+     */
+    async storeAuctionSnapshot(eraId, auctionState = null, transaction = null) {
+        if (!this.isWritable('AuctionBid') && !this.isWritable('AuctionDelegator')) {
+            return;
+        }
+
+        if (!auctionState) {
+            console.warn(`Warning: Auction of era ${eraId} will not be stored without the node`);
+            return;
+        }
+
+        // The bids come as a list in the later node versions, keyed by the public keys before
+        const bids = Array.isArray(auctionState.bids)
+            ? auctionState.bids.map(bid => ({ publicKey: bid.public_key, bid: bid.bid }))
+            : Object.keys(auctionState.bids || {}).map(publicKey => ({ publicKey, bid: auctionState.bids[publicKey] }));
+
+        const auctionBids = [];
+        const auctionDelegators = [];
+        for (let { publicKey, bid } of bids) {
+            const delegators = Array.isArray(bid.delegators)
+                ? bid.delegators
+                : Object.keys(bid.delegators || {}).map(delegatorPublicKey => ({
+                    public_key: delegatorPublicKey,
+                    ...bid.delegators[delegatorPublicKey],
+                }));
+
+            let delegatedAmount = BigNumber.from(0);
+            for (let delegator of delegators) {
+                delegatedAmount = delegatedAmount.add(delegator.staked_amount);
+                auctionDelegators.push({
+                    eraId,
+                    validatorPublicKey: publicKey,
+                    delegatorPublicKey: delegator.public_key || delegator.delegator_public_key,
+                    bondingPurse: delegator.bonding_purse,
+                    stakedAmount: delegator.staked_amount,
+                });
+            }
+
+            auctionBids.push({
+                eraId,
+                validatorPublicKey: publicKey,
+                bondingPurse: bid.bonding_purse,
+                stakedAmount: bid.staked_amount,
+                delegationRate: bid.delegation_rate,
+                inactive: bid.inactive,
+                delegatorCount: delegators.length,
+                delegatedAmount: delegatedAmount.toString(),
+                totalStakedAmount: delegatedAmount.add(bid.staked_amount).toString(),
+            });
+        }
+
+        await this.storeAccounts(
+            auctionBids.map(bid => bid.validatorPublicKey).concat(auctionDelegators.map(delegator => delegator.delegatorPublicKey)),
+            transaction
+        );
+
+        // A snapshot taken already is kept
+        if (this.isWritable('AuctionBid') && auctionBids.length > 0) {
+            await this.models.AuctionBid.bulkCreate(auctionBids, { ignoreDuplicates: true, transaction });
+        }
+        if (this.isWritable('AuctionDelegator') && auctionDelegators.length > 0) {
+            await this.models.AuctionDelegator.bulkCreate(auctionDelegators, { ignoreDuplicates: true, transaction });
+        }
+
+        console.log(`Info: Stored the auction of era ${eraId}: ${auctionBids.length} bids, ${auctionDelegators.length} delegators`);
+    }
+
+    async onStepEvent(event, transaction = null) {
+        console.log(`Info: Processing Step event. Era: ${event.era_id}.`);
+
+        const eraInfoTransform = event.execution_effect.transforms.find(
+            transform => transform.transform && transform.transform.WriteEraInfo
+        );
+
+        if (!eraInfoTransform) {
+            console.warn(`Warning: Step event of era ${event.era_id} has no EraInfo`);
+            return;
+        }
+
+        // The switch block may have been stored already
+        const era = await this.models.Era.findByPk(event.era_id, { transaction });
+
+        await this.storeEraRewards(
+            event.era_id,
+            eraInfoTransform.transform.WriteEraInfo.seigniorage_allocations,
+            era ? era.endTimestamp : null,
+            transaction
+        );
+    }
+
+    async storeEraRewards(eraId, seigniorageAllocations, timestamp, transaction = null) {
+        await this.storeAccounts(seigniorageAllocations.map(reward => reward.Validator
+            ? reward.Validator.validator_public_key
+            : reward.Delegator.delegator_public_key
+        ), transaction);
+
+        for (const reward of seigniorageAllocations) {
+            if (reward.Validator) {
+                await this.storeEntity('ValidatorReward', {
+                    eraId,
+                    publicKey: reward.Validator.validator_public_key,
+                    amount: reward.Validator.amount,
+                    timestamp,
+                }, transaction);
+
+                await this.storeRewardLedgerEntry(
+                    reward.Validator.validator_public_key,
+                    `${eraId}-${reward.Validator.validator_public_key}`,
+                    eraId,
+                    reward.Validator.amount,
+                    timestamp,
+                    transaction
+                );
+            }
+            else if (reward.Delegator) {
+                await this.storeEntity('DelegatorReward', {
+                    eraId,
+                    publicKey: reward.Delegator.delegator_public_key,
+                    validatorPublicKey: reward.Delegator.validator_public_key,
+                    amount: reward.Delegator.amount,
+                    timestamp,
+                }, transaction);
+
+                await this.storeRewardLedgerEntry(
+                    reward.Delegator.delegator_public_key,
+                    `${eraId}-${reward.Delegator.validator_public_key}-${reward.Delegator.delegator_public_key}`,
+                    eraId,
+                    reward.Delegator.amount,
+                    timestamp,
+                    transaction
+                );
+            }
+        }
+    }
+
+    /**
+     * Rewards are added to the stake
+     */
+    async storeRewardLedgerEntry(publicKey, reference, eraId, amount, timestamp, transaction = null) {
+        await this.storeEntity('AccountLedgerEntry', {
+            accountHash: publicKeyToAccountHash(publicKey),
+            kind: 'reward',
+            reference,
+            liquid: 0,
+            staked: String(amount),
+            unbonding: 0,
+            deployHash: null,
+            eraId,
+            timestamp,
+        }, transaction);
+    }
+
     async onEraEnd(eraEnd) {
-        this.storeEntity('Era', {
+        await this.storeEntity('Era', {
             eraId: eraEnd.era_id,
             eraEndBlockHeight: eraEnd.era_end_block_height,
             eraEndTimestamp: eraEnd.era_end_timestamp,
@@ -364,15 +993,98 @@ class Storage {
         });
     }
 
-    async onFinalitySignatureEvent(event) {
+    async onFinalitySignatureEvent(event, transaction = null) {
         console.log(`Info: Processing FinalitySignature event. Signature: ${event.signature}.`);
 
-        this.storeEntity('FinalitySignature', {
+        await this.storeAccounts([event.public_key], transaction);
+
+        const signature = await this.storeEntity('FinalitySignature', {
             signature: event.signature,
             blockHash: event.block_hash,
             publicKey: event.public_key,
             eraId: event.era_id,
+        }, transaction);
+
+        if (signature) {
+            await this.addSignedWeight(event, transaction);
+        }
+    }
+
+    /**
+     * Adds the weight of the signer to the signed weight of the block. The signatures of a block
+     * are stored in parallel, so the weight is incremented in place rather than summed up again.
+     */
+    async addSignedWeight(event, transaction = null) {
+        if (!this.isWritable('BlockSignedWeight')) {
+            return;
+        }
+
+        // A validator signing the block again adds no weight
+        const signatureCount = await this.models.FinalitySignature.count({
+            where: { blockHash: event.block_hash, publicKey: event.public_key },
+            transaction,
         });
+        if (signatureCount > 1) {
+            return;
+        }
+
+        const eraValidator = await this.models.EraValidator.findOne({
+            where: { eraId: event.era_id, publicKeyHex: event.public_key },
+            transaction,
+        });
+        const weight = BigNumber.from(eraValidator ? String(eraValidator.weight) : 0);
+
+        try {
+            await this.models.BlockSignedWeight.create({
+                blockHash: event.block_hash,
+                eraId: event.era_id,
+                signedWeight: weight.toString(),
+            }, { transaction });
+        } catch (err) {
+            if (!(err instanceof sequelize.UniqueConstraintError)) {
+                throw err;
+            }
+
+            if (!weight.isZero()) {
+                await this.models.BlockSignedWeight.update({
+                    signedWeight: sequelize.literal(`signedWeight + ${weight.toString()}`),
+                }, {
+                    where: { blockHash: event.block_hash },
+                    transaction,
+                });
+            }
+        }
+    }
+
+    async onFaultEvent(event, transaction = null) {
+        console.log(`Info: Processing Fault event. Era: ${event.era_id}, validator: ${event.public_key}.`);
+
+        await this.storeAccounts([event.public_key], transaction);
+
+        await this.storeEntity('Fault', {
+            eraId: event.era_id,
+            publicKey: event.public_key,
+            timestamp: event.timestamp,
+        }, transaction);
+    }
+
+    async onDeployExpiredEvent(event, transaction = null) {
+        console.log(`Info: Processing DeployExpired event. DeployHash: ${event.deploy_hash}.`);
+
+        await this.storeEntity('ExpiredDeploy', {
+            deployHash: event.deploy_hash,
+            timestamp: new Date(),
+        }, transaction);
+    }
+
+    async onShutdownEvent(sourceNodeId, transaction = null) {
+        console.log(`Info: Processing Shutdown event from source node ${sourceNodeId}.`);
+
+        await this.storeEntity('NodeLifecycleEvent', {
+            sourceNodeId,
+            eventType: 'Shutdown',
+            timestamp: new Date(),
+        }, transaction);
     }
 
     async findBlockByHeight(height) {
@@ -388,7 +1100,9 @@ class Storage {
             return found;
         }
 
-        return await this.storeEntity('SourceNode', { address });
+        // Another event stream may have created it in the meantime
+        return await this.storeEntity('SourceNode', { address }) ||
+            await this.models.SourceNode.findOne({ where: { address } });
     }
 
     async findApiVersionByVersionOrCreate(version) {
@@ -400,7 +1114,9 @@ class Storage {
             return found;
         }
 
-        return await this.storeEntity('ApiVersion', { version });
+        // Another event stream may have created it in the meantime
+        return await this.storeEntity('ApiVersion', { version }) ||
+            await this.models.ApiVersion.findOne({ where: { version } });
     }
 
     async findEventStreamByPathOrCreate(path) {
@@ -412,7 +1128,9 @@ class Storage {
             return found;
         }
 
-        return await this.storeEntity('EventStream', { path });
+        // Another event stream may have created it in the meantime
+        return await this.storeEntity('EventStream', { path }) ||
+            await this.models.EventStream.findOne({ where: { path } });
     }
 
 
@@ -426,11 +1144,175 @@ class Storage {
         return eventId;
     }
 
+    /**
+     * Ranges of the block heights, that are missing between the stored blocks. The heights below
+     * the lowest stored block are only included when asked for, a store, that started indexing
+     * in the middle of the chain, would have the whole history before it as a gap.
+     */
+    async findBlockHeightGaps(fromGenesis = false) {
+        const gaps = await this.models.sequelize.query(
+            'SELECT b.blockHeight + 1 AS fromHeight, ' +
+            '(SELECT MIN(n.blockHeight) FROM `Blocks` n WHERE n.blockHeight > b.blockHeight) - 1 AS toHeight ' +
+            'FROM `Blocks` b ' +
+            'LEFT JOIN `Blocks` nb ON nb.blockHeight = b.blockHeight + 1 ' +
+            'WHERE nb.blockHeight IS NULL AND b.blockHeight < (SELECT MAX(blockHeight) FROM `Blocks`) ' +
+            'ORDER BY b.blockHeight', {
+                type: QueryTypes.SELECT,
+            }
+        );
+
+        const lowest = fromGenesis ? await this.models.Block.min('blockHeight') : null;
+        if (lowest > 0) {
+            gaps.unshift({ fromHeight: 0, toHeight: lowest - 1 });
+        }
+
+        return gaps.map(gap => ({
+            fromHeight: parseInt(gap.fromHeight),
+            toHeight: parseInt(gap.toHeight),
+        }));
+    }
+
+    async storeGapScan(result) {
+        await this.models.GapScan.upsert({
+            id: 1,
+            ...result,
+            scannedAt: new Date(),
+        });
+    }
+
+    async findLastGapScan() {
+        return await this.models.GapScan.findByPk(1);
+    }
+
+    /**
+     * Heights of the blocks, whose parentHash doesn't match the hash of the stored block below them
+     */
+    async findBrokenParentHashLinks() {
+        const blocks = await this.models.sequelize.query(
+            'SELECT b.blockHeight FROM `Blocks` b ' +
+            'INNER JOIN `Blocks` p ON p.blockHeight = b.blockHeight - 1 ' +
+            'WHERE b.parentHash <> p.blockHash ' +
+            'ORDER BY b.blockHeight', {
+                type: QueryTypes.SELECT,
+            }
+        );
+
+        return blocks.map(block => parseInt(block.blockHeight));
+    }
+
     async findBlockByHash(blockHash) {
         return this.models.Block.findOne({
             where: {
-                blockHash: blockHash
-            }
+                blockHash: blockHash
+            }
+        });
+    }
+
+    /**
+     * Combines the finality signatures of the block with the weights of its era validators.
+     * The threshold is a fraction of the era weight, [1, 3] being the fault tolerance
+     * threshold of the chainspec, the signed weight has to exceed it.
+     */
+    async findBlockFinality(blockHash, threshold) {
+        const block = await this.findBlockByHash(blockHash);
+        const signatures = await this.models.FinalitySignature.findAll({
+            where: { blockHash },
+            order: [['publicKey', 'ASC']],
+        });
+
+        if (!block && signatures.length === 0) {
+            return null;
+        }
+
+        const eraId = block ? block.eraId : signatures[0].eraId;
+        const eraValidators = await this.models.EraValidator.findAll({
+            where: { eraId },
+        });
+
+        const weights = {};
+        let totalWeight = BigNumber.from(0);
+        for (let eraValidator of eraValidators) {
+            weights[eraValidator.publicKeyHex] = BigNumber.from(eraValidator.weight);
+            totalWeight = totalWeight.add(eraValidator.weight);
+        }
+
+        const signers = [];
+        let signedWeight = BigNumber.from(0);
+        for (let signature of signatures) {
+            if (signers.find(signer => signer.publicKey === signature.publicKey)) {
+                continue;
+            }
+
+            // Signatures of the keys, that aren't validators of the era, carry no weight
+            const weight = weights[signature.publicKey] || BigNumber.from(0);
+            signedWeight = signedWeight.add(weight);
+            signers.push({ publicKey: signature.publicKey, weight: weight.toString() });
+        }
+
+        return {
+            blockHash,
+            blockHeight: block ? block.blockHeight : null,
+            eraId,
+            signers,
+            signedWeight: signedWeight.toString(),
+            totalWeight: totalWeight.toString(),
+            signedWeightPercentage: totalWeight.isZero()
+                ? null
+                : signedWeight.mul(10000).div(totalWeight).toNumber() / 100,
+            thresholdPercentage: Math.round(threshold[0] / threshold[1] * 10000) / 100,
+            thresholdReached: !totalWeight.isZero() &&
+                signedWeight.mul(threshold[1]).gt(totalWeight.mul(threshold[0])),
+        };
+    }
+
+    /**
+     * Blocks among the latest `window` heights, whose signed weight doesn't exceed the threshold yet,
+     * including the ones with unknown era validators. The blocks stored before the first signed one
+     * are left out, their signatures were never followed.
+     */
+    async findBlocksBelowFinalityThreshold(threshold, window, limit, offset) {
+        const noBlocks = { count: 0, rows: [] };
+
+        const toHeight = await this.models.Block.max('blockHeight');
+        if (toHeight === null || isNaN(toHeight)) {
+            return noBlocks;
+        }
+
+        const [firstSigned] = await this.models.sequelize.query(
+            'SELECT MIN(b.blockHeight) AS blockHeight FROM `Blocks` b ' +
+            'INNER JOIN `BlockSignedWeights` w ON w.blockHash = b.blockHash ' +
+            'WHERE b.blockHeight > :fromHeight', {
+                replacements: { fromHeight: toHeight - window },
+                type: QueryTypes.SELECT,
+            }
+        );
+        if (!firstSigned || firstSigned.blockHeight === null) {
+            return noBlocks;
+        }
+
+        const signedWeight = '(SELECT COALESCE(MAX(`BlockSignedWeights`.`signedWeight`), 0) FROM `BlockSignedWeights` ' +
+            'WHERE `BlockSignedWeights`.`blockHash` = `Block`.`blockHash`)';
+        const totalWeight = '(SELECT SUM(`EraValidators`.`weight`) FROM `EraValidators` ' +
+            'WHERE `EraValidators`.`eraId` = `Block`.`eraId`)';
+
+        return await this.models.Block.findAndCountAll({
+            attributes: [
+                'blockHeight',
+                'blockHash',
+                'eraId',
+                'timestamp',
+                [sequelize.literal(signedWeight), 'signedWeight'],
+                [sequelize.literal(totalWeight), 'totalWeight'],
+            ],
+            where: {
+                blockHeight: { [Op.gte]: parseInt(firstSigned.blockHeight) },
+                [Op.and]: sequelize.literal(
+                    `(${totalWeight} IS NULL OR ${signedWeight} * ${Number(threshold[1])} <= ${totalWeight} * ${Number(threshold[0])})`
+                ),
+            },
+            order: [['blockHeight', 'DESC']],
+            limit: limit,
+            offset: offset,
         });
     }
 
@@ -521,9 +1403,123 @@ class Storage {
         });
     }
 
+    /**
+     * Accepts a public key or an account hash, with or without the account-hash- prefix. The public key
+     * of an account hash is taken from the registry, it's null if the account hasn't been seen yet.
+     */
+    async findAccountById(id) {
+        if (isPublicKeyHex(id)) {
+            const publicKey = id.toLowerCase();
+
+            return { accountHash: publicKeyToAccountHash(publicKey), publicKey };
+        }
+
+        const accountHash = id.replace(/^account-hash-/, '').toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(accountHash)) {
+            return null;
+        }
+
+        const account = await this.models.Account.findByPk(accountHash);
+
+        return { accountHash, publicKey: account ? account.publicKey : null };
+    }
+
+    /**
+     * The ledger has no balances from before the first stored block, so it only adds up to
+     * the balances of the accounts when it starts from the genesis block
+     */
+    async hasLedgerStart() {
+        return await this.models.Block.count({ where: { blockHeight: 0 } }) > 0;
+    }
+
+    /**
+     * Null, if the ledger has no starting point
+     */
+    async findAccountBalance(accountHash) {
+        if (!await this.hasLedgerStart()) {
+            return null;
+        }
+
+        return this.sumAccountLedgerEntries({ accountHash });
+    }
+
+    async sumAccountLedgerEntries(where) {
+        const sums = await this.models.AccountLedgerEntry.findOne({
+            attributes: ['liquid', 'staked', 'unbonding'].map(field => [sequelize.fn('SUM', sequelize.col(field)), field]),
+            where,
+            raw: true,
+        });
+
+        const balance = {};
+        for (let field of ['liquid', 'staked', 'unbonding']) {
+            balance[field] = BigNumber.from(String(sums && sums[field] !== null ? sums[field] : 0));
+        }
+
+        return this.formatBalance(balance);
+    }
+
+    formatBalance({ liquid, staked, unbonding }) {
+        return {
+            liquid: liquid.toString(),
+            staked: staked.toString(),
+            unbonding: unbonding.toString(),
+            total: liquid.add(staked).add(unbonding).toString(),
+        };
+    }
+
+    /**
+     * Balance of the account at the end of each interval between the dates, starting with
+     * the balance before the `from` date. Entries without a timestamp, i.e. the rewards of
+     * an era, which switch block isn't stored yet, are left out.
+     */
+    async findAccountBalanceHistory(accountHash, from, to, interval) {
+        if (!await this.hasLedgerStart()) {
+            return null;
+        }
+
+        const intervalMs = Storage.BALANCE_HISTORY_INTERVALS[interval];
+
+        const opening = await this.sumAccountLedgerEntries({
+            accountHash,
+            timestamp: { [Op.lt]: from },
+        });
+        const balance = {};
+        for (let field of ['liquid', 'staked', 'unbonding']) {
+            balance[field] = BigNumber.from(opening[field]);
+        }
+
+        const entries = await this.models.AccountLedgerEntry.findAll({
+            where: {
+                accountHash,
+                timestamp: { [Op.gte]: from, [Op.lt]: to },
+            },
+            order: [['timestamp', 'ASC']],
+        });
+
+        const history = [];
+        let entryIndex = 0;
+        for (let start = from.getTime(); start < to.getTime(); start += intervalMs) {
+            const end = Math.min(start + intervalMs, to.getTime());
+
+            for (; entryIndex < entries.length && entries[entryIndex].timestamp.getTime() < end; entryIndex++) {
+                for (let field of ['liquid', 'staked', 'unbonding']) {
+                    balance[field] = balance[field].add(String(entries[entryIndex][field]));
+                }
+            }
+
+            history.push({
+                from: new Date(start),
+                to: new Date(end),
+                ...this.formatBalance(balance),
+            });
+        }
+
+        return history;
+    }
+
     async getDeploys(criteria, limit, offset, orderBy, orderDirection) {
         return await this.models.Deploy.findAndCountAll({
-            where: this.buildWhere(criteria, ['blockHash', 'account']),
+            where: this.buildWhere(criteria, ['blockHash', 'account', 'type', 'sessionType', 'contractHash', 'contractName', 'entryPoint']),
             limit: limit,
             offset: offset,
             order: this.buildOrder(
@@ -536,6 +1532,9 @@ class Storage {
     }
 
     async getRawDeploys(criteria, limit, offset, orderBy, orderDirection) {
+        // Classified when the deploy was stored
+        const deployType = '(SELECT `Deploys`.`type` FROM `Deploys` WHERE `Deploys`.`deployHash` = `RawDeployProcessedEvent`.`deployHash`)';
+
         return await this.models.RawDeployProcessedEvent.findAndCountAll({
 
             attributes: [
@@ -593,15 +1592,19 @@ class Storage {
                     "transfer_recipient_account_hash"
                 ],
                 [
-                    sequelize.literal('IF (JSON_EXTRACT( jsonBody->>\'$.DeployProcessed.execution_result.*.cost\', \'$[0]\') = "10000" AND JSON_EXTRACT(jsonBody, \'$**.WriteWithdraw\') IS NULL, 1, 0 )'),
+                    sequelize.literal(deployType),
+                    "deploy_type"
+                ],
+                [
+                    sequelize.literal(`IF (${deployType} IN ('native_transfer', 'wasm_transfer'), 1, 0)`),
                     "is_transfer"
                 ],
                 [
-                    sequelize.literal('IF (JSON_EXTRACT(jsonBody, \'$**.WriteBid\') IS NOT NULL AND JSON_EXTRACT(jsonBody, \'$**.WriteWithdraw\') IS NULL, 1, 0 )'),
+                    sequelize.literal(`IF (${deployType} = 'delegate', 1, 0)`),
                     "is_delegate"
                 ],
                 [
-                    sequelize.literal('IF (JSON_EXTRACT(jsonBody, \'$**.WriteWithdraw\') IS NOT NULL , 1, 0 )'),
+                    sequelize.literal(`IF (${deployType} = 'undelegate', 1, 0)`),
                     "is_undelegate"
                 ],
                 [
@@ -668,6 +1671,259 @@ class Storage {
         });
     }
 
+    async findFaults(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.Fault.findAndCountAll({
+            where: this.buildWhere(criteria, ['eraId', 'publicKey']),
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['eraId', 'timestamp'],
+                [['eraId', 'DESC']]
+            ),
+            limit: limit,
+            offset: offset,
+        });
+    }
+
+    /**
+     * Accepted deploys, that are neither processed nor expired yet
+     */
+    async findPendingDeploys(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.AcceptedDeploy.findAndCountAll({
+            where: {
+                [Op.and]: [
+                    this.buildWhere(criteria, ['account', 'chainName']),
+                    {
+                        [Op.or]: [
+                            { expiresAt: { [Op.gt]: new Date() } },
+                            { expiresAt: null },
+                        ]
+                    },
+                    sequelize.literal('`deployHash` NOT IN (SELECT `deployHash` FROM `Deploys`)'),
+                    sequelize.literal('`deployHash` NOT IN (SELECT `deployHash` FROM `ExpiredDeploys`)'),
+                ]
+            },
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['timestamp', 'expiresAt', 'acceptedAt'],
+                [['timestamp', 'DESC']]
+            ),
+            limit: limit,
+            offset: offset,
+        });
+    }
+
+    /**
+     * Where the deploy is in its lifecycle: accepted by the node, processed in a block
+     * (successfully or not) or expired, either announced by the node or because its ttl passed
+     */
+    async findDeployStatus(deployHash) {
+        const acceptedDeploy = await this.models.AcceptedDeploy.findByPk(deployHash);
+        const deploy = await this.models.Deploy.findByPk(deployHash);
+        const expiredDeploy = await this.models.ExpiredDeploy.findByPk(deployHash);
+
+        if (!acceptedDeploy && !deploy && !expiredDeploy) {
+            return null;
+        }
+
+        let status = 'accepted';
+        if (deploy) {
+            status = 'processed';
+        } else if (expiredDeploy || (acceptedDeploy.expiresAt && acceptedDeploy.expiresAt <= new Date())) {
+            status = 'expired';
+        }
+
+        return {
+            deployHash,
+            status,
+            executionResult: deploy ? (deploy.errorMessage === null ? 'success' : 'failure') : null,
+            blockHash: deploy ? deploy.blockHash : null,
+            cost: deploy ? deploy.cost : null,
+            errorMessage: deploy ? deploy.errorMessage : null,
+            acceptedAt: acceptedDeploy ? acceptedDeploy.acceptedAt : null,
+            expiresAt: acceptedDeploy ? acceptedDeploy.expiresAt : null,
+            expiredAt: expiredDeploy ? expiredDeploy.timestamp : null,
+            header: acceptedDeploy ? acceptedDeploy.toJSON() : null,
+        };
+    }
+
+    async findExpiredDeploys(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.ExpiredDeploy.findAndCountAll({
+            where: this.buildWhere(criteria, ['deployHash']),
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['timestamp'],
+                [['timestamp', 'DESC']]
+            ),
+            limit: limit,
+            offset: offset,
+        });
+    }
+
+    async findExpiredDeployByHash(deployHash) {
+        return this.models.ExpiredDeploy.findByPk(deployHash);
+    }
+
+    async findContracts(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.Contract.findAndCountAll({
+            where: this.buildWhere(criteria, ['contractPackageHash', 'deployHash', 'deployerAccount']),
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['timestamp', 'version'],
+                [['timestamp', 'DESC']]
+            ),
+            limit: limit,
+            offset: offset,
+        });
+    }
+
+    async findContractByHash(contractHash) {
+        return this.models.Contract.findByPk(contractHash);
+    }
+
+    async findContractPackageByHash(contractPackageHash) {
+        return this.models.ContractPackage.findByPk(contractPackageHash);
+    }
+
+    async findContractPackageVersions(contractPackageHash) {
+        return this.models.Contract.findAll({
+            where: { contractPackageHash },
+            order: [['version', 'ASC'], ['timestamp', 'ASC']],
+        });
+    }
+
+    async findNodeLifecycleEvents(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.NodeLifecycleEvent.findAndCountAll({
+            where: this.buildWhere(criteria, ['sourceNodeId', 'eventType']),
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['timestamp'],
+                [['id', 'DESC']]
+            ),
+            limit: limit,
+            offset: offset,
+        });
+    }
+
+    async findEras(criteria, limit, offset, orderBy, orderDirection) {
+        const eras = await this.models.Era.findAndCountAll({
+            where: this.buildWhere(criteria, ['protocolVersion']),
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['id', 'endBlockHeight', 'endTimestamp'],
+                [['id', 'DESC']]
+            ),
+            limit,
+            offset,
+        });
+
+        return {
+            count: eras.count,
+            rows: await this.getEraSummaries(eras.rows),
+        };
+    }
+
+    async findEraById(id) {
+        const era = await this.models.Era.findByPk(id);
+        if (era === null) {
+            return null;
+        }
+
+        return (await this.getEraSummaries([era]))[0];
+    }
+
+    /**
+     * Ended eras along with the totals of their stored blocks, rewards and validators. An era starts
+     * with the switch block of the previous one, or with its first stored block if that isn't stored.
+     */
+    async getEraSummaries(eras) {
+        const eraIds = eras.map(era => era.id);
+        if (eraIds.length === 0) {
+            return [];
+        }
+
+        const totalsByEra = async (model, attributes) => {
+            const rows = await this.models[model].findAll({
+                attributes: ['eraId', ...attributes],
+                where: { eraId: eraIds },
+                group: ['eraId'],
+                raw: true,
+            });
+
+            const totals = {};
+            for (let row of rows) {
+                totals[row.eraId] = row;
+            }
+
+            return totals;
+        };
+        const sumAsString = field => sequelize.cast(sequelize.fn('SUM', sequelize.col(field)), 'char');
+
+        const blocks = await totalsByEra('Block', [
+            [sequelize.fn('COUNT', sequelize.col('blockHeight')), 'blockCount'],
+            [sequelize.fn('SUM', sequelize.col('deployCount')), 'deployCount'],
+            [sequelize.fn('SUM', sequelize.col('transferCount')), 'transferCount'],
+        ]);
+        const validatorRewards = await totalsByEra('ValidatorReward', [[sumAsString('amount'), 'total']]);
+        const delegatorRewards = await totalsByEra('DelegatorReward', [[sumAsString('amount'), 'total']]);
+        const validators = await totalsByEra('EraValidator', [
+            [sequelize.fn('COUNT', sequelize.col('publicKeyHex')), 'validatorCount'],
+            [sumAsString('weight'), 'totalWeight'],
+        ]);
+
+        const previousEras = {};
+        for (let era of await this.models.Era.findAll({ where: { id: eraIds.map(id => id - 1) } })) {
+            previousEras[era.id + 1] = era;
+        }
+
+        const summaries = [];
+        for (let era of eras) {
+            let startBlockHeight = null;
+            let startTimestamp = null;
+            if (previousEras[era.id]) {
+                startBlockHeight = previousEras[era.id].endBlockHeight + 1;
+                startTimestamp = previousEras[era.id].endTimestamp;
+            } else {
+                const firstBlock = await this.models.Block.findOne({
+                    where: { eraId: era.id },
+                    order: [['blockHeight', 'ASC']],
+                });
+                if (firstBlock) {
+                    startBlockHeight = firstBlock.blockHeight;
+                    startTimestamp = firstBlock.timestamp;
+                }
+            }
+
+            const eraBlocks = blocks[era.id] || {};
+            const eraValidators = validators[era.id] || {};
+            const totalRewards = BigNumber.from(validatorRewards[era.id] ? validatorRewards[era.id].total : 0)
+                .add(delegatorRewards[era.id] ? delegatorRewards[era.id].total : 0);
+
+            summaries.push({
+                id: era.id,
+                protocolVersion: era.protocolVersion,
+                startBlockHeight,
+                endBlockHeight: era.endBlockHeight,
+                startTimestamp,
+                endTimestamp: era.endTimestamp,
+                duration: startTimestamp && era.endTimestamp ? era.endTimestamp - startTimestamp : null,
+                blockCount: parseInt(eraBlocks.blockCount || 0),
+                deployCount: parseInt(eraBlocks.deployCount || 0),
+                transferCount: parseInt(eraBlocks.transferCount || 0),
+                totalRewards: totalRewards.toString(),
+                validatorCount: parseInt(eraValidators.validatorCount || 0),
+                totalWeight: eraValidators.totalWeight ? eraValidators.totalWeight : '0',
+            });
+        }
+
+        return summaries;
+    }
+
     async findEraValidators(criteria, limit, offset, orderBy, orderDirection) {
         return await this.models.EraValidator.findAndCountAll({
             where: this.buildWhere(criteria, ['eraId', 'publicKeyHex', 'hasEquivocation', 'wasActive']),
@@ -682,6 +1938,151 @@ class Storage {
         });
     }
 
+    /**
+     * Performance of the validators over the ended eras, optionally limited by the `fromEra` and
+     * `toEra` criteria. Blocks expected from a validator are the blocks of each era weighted by
+     * its share of the era weight. Total rewards include the rewards of its delegators, as the
+     * weight includes their stake, and the reward per weight is the reward of a mote staked for an era.
+     */
+    async findValidatorStats(criteria, limit, offset, orderBy, orderDirection) {
+        const conditions = [];
+        const bind = [];
+        for (let [criterion, condition] of [['publicKey', 'ev.publicKeyHex = '], ['fromEra', 'ev.eraId >= '], ['toEra', 'ev.eraId <= ']]) {
+            if (criteria[criterion] !== undefined) {
+                bind.push(criteria[criterion]);
+                conditions.push(condition + '$' + bind.length);
+            }
+        }
+
+        const from = 'FROM `EraValidators` ev ' +
+            // Only the ended eras have their results
+            'INNER JOIN `Eras` e ON e.id = ev.eraId ' +
+            'INNER JOIN (SELECT eraId, SUM(1.0 * weight) AS weight FROM `EraValidators` GROUP BY eraId) et ON et.eraId = ev.eraId ' +
+            'LEFT JOIN (SELECT eraId, COUNT(*) AS blocks FROM `Blocks` GROUP BY eraId) eb ON eb.eraId = ev.eraId ' +
+            'LEFT JOIN (SELECT eraId, proposer, COUNT(*) AS blocks FROM `Blocks` GROUP BY eraId, proposer) pb ' +
+            'ON pb.eraId = ev.eraId AND pb.proposer = ev.publicKeyHex ' +
+            'LEFT JOIN `ValidatorRewards` vr ON vr.eraId = ev.eraId AND vr.publicKey = ev.publicKeyHex ' +
+            'LEFT JOIN (SELECT eraId, validatorPublicKey, SUM(amount) AS amount FROM `DelegatorRewards` GROUP BY eraId, validatorPublicKey) dr ' +
+            'ON dr.eraId = ev.eraId AND dr.validatorPublicKey = ev.publicKeyHex ' +
+            (conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') + ' ' : '');
+
+        const totalRewards = 'SUM(COALESCE(vr.amount, 0) + COALESCE(dr.amount, 0))';
+        const expectedBlocks = 'SUM(1.0 * COALESCE(eb.blocks, 0) * ev.weight / et.weight)';
+        const metrics = {
+            erasActive: 'SUM(CASE WHEN ev.wasActive THEN 1 ELSE 0 END)',
+            erasInactive: 'SUM(CASE WHEN ev.wasActive THEN 0 ELSE 1 END)',
+            equivocations: 'SUM(CASE WHEN ev.hasEquivocation THEN 1 ELSE 0 END)',
+            blocksProposed: 'SUM(COALESCE(pb.blocks, 0))',
+            expectedBlocks,
+            proposalRatio: `SUM(COALESCE(pb.blocks, 0)) / NULLIF(${expectedBlocks}, 0)`,
+            totalRewards,
+            rewardPerWeight: `${totalRewards} / SUM(1.0 * ev.weight)`,
+        };
+
+        const order = metrics[orderBy] ? metrics[orderBy] : totalRewards;
+        const direction = orderDirection && orderDirection.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        const rows = await this.models.sequelize.query(
+            'SELECT ev.publicKeyHex AS publicKey, COUNT(*) AS eras, ' +
+            `${metrics.erasActive} AS erasActive, ${metrics.erasInactive} AS erasInactive, ` +
+            `${metrics.equivocations} AS equivocations, ${metrics.blocksProposed} AS blocksProposed, ` +
+            `${metrics.expectedBlocks} AS expectedBlocks, ${metrics.proposalRatio} AS proposalRatio, ` +
+            'CAST(SUM(COALESCE(vr.amount, 0)) AS char) AS validatorRewards, ' +
+            'CAST(SUM(COALESCE(dr.amount, 0)) AS char) AS delegatorRewards, ' +
+            `CAST(${totalRewards} AS char) AS totalRewards, ${metrics.rewardPerWeight} AS rewardPerWeight ` +
+            from +
+            `GROUP BY ev.publicKeyHex ORDER BY ${order} ${direction}, ev.publicKeyHex ASC ` +
+            `LIMIT ${Number(limit)} OFFSET ${Number(offset)}`, {
+                bind,
+                type: QueryTypes.SELECT,
+            }
+        );
+
+        const count = await this.models.sequelize.query(
+            'SELECT COUNT(DISTINCT ev.publicKeyHex) AS count ' + from, {
+                bind,
+                type: QueryTypes.SELECT,
+                plain: true,
+            }
+        );
+
+        return {
+            count: parseInt(count.count),
+            rows: rows.map(row => ({
+                publicKey: row.publicKey,
+                eras: parseInt(row.eras),
+                erasActive: parseInt(row.erasActive),
+                erasInactive: parseInt(row.erasInactive),
+                equivocations: parseInt(row.equivocations),
+                blocksProposed: parseInt(row.blocksProposed),
+                expectedBlocks: Number(row.expectedBlocks),
+                proposalRatio: row.proposalRatio === null ? null : Number(row.proposalRatio),
+                validatorRewards: row.validatorRewards,
+                delegatorRewards: row.delegatorRewards,
+                totalRewards: row.totalRewards,
+                rewardPerWeight: row.rewardPerWeight === null ? null : Number(row.rewardPerWeight),
+            })),
+        };
+    }
+
+    /**
+     * The latest ended eras, latest first, along with the era before them, that they start at the end of
+     */
+    async findLatestEndedEras(count) {
+        return await this.models.Era.findAll({
+            order: [['id', 'DESC']],
+            limit: count + 1,
+        });
+    }
+
+    /**
+     * Rewards and weights of the eras, of all the validators or of the given one, by the era id.
+     * Rewards include the rewards of the delegators. The sums are strings, as they easily exceed
+     * the safe integer range.
+     */
+    async getEraRewardsAndWeights(eraIds, validatorPublicKey = null) {
+        const sumByEra = async (model, field, where) => {
+            const sums = await this.models[model].findAll({
+                attributes: ['eraId', [sequelize.cast(sequelize.fn('SUM', sequelize.col(field)), 'CHAR'), 'total']],
+                where: { ...where, eraId: eraIds },
+                group: ['eraId'],
+                raw: true,
+            });
+
+            const totals = {};
+            for (let sum of sums) {
+                totals[sum.eraId] = BigNumber.from(sum.total);
+            }
+
+            return totals;
+        };
+
+        const validatorRewards = await sumByEra('ValidatorReward', 'amount', validatorPublicKey ? { publicKey: validatorPublicKey } : {});
+        const delegatorRewards = await sumByEra('DelegatorReward', 'amount', validatorPublicKey ? { validatorPublicKey } : {});
+        const weights = await sumByEra('EraValidator', 'weight', validatorPublicKey ? { publicKeyHex: validatorPublicKey } : {});
+
+        const eras = {};
+        for (let eraId of eraIds) {
+            eras[eraId] = {
+                rewards: (validatorRewards[eraId] || BigNumber.from(0)).add(delegatorRewards[eraId] || 0).toString(),
+                weight: (weights[eraId] || BigNumber.from(0)).toString(),
+            };
+        }
+
+        return eras;
+    }
+
+    async findValidatorDelegationRates(validatorPublicKey, before) {
+        return await this.models.Bid.findAll({
+            attributes: ['delegationRate', 'timestamp'],
+            where: {
+                validatorPublicKey,
+                timestamp: { [Op.lte]: before },
+            },
+            order: [['timestamp', 'ASC']],
+        });
+    }
+
     async getTotalValidatorRewards(publicKey) {
         const result = await this.models.sequelize.query(
             'SELECT CAST(SUM(amount) AS char) AS total FROM `ValidatorRewards` WHERE publicKey = $1', {
@@ -734,6 +2135,133 @@ class Storage {
         });
     }
 
+    async findDelegations(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.Delegation.findAndCountAll({
+            where: {
+                ...this.buildWhere(criteria, ['delegatorPublicKey', 'validatorPublicKey']),
+                stakedAmount: { [Op.gt]: 0 },
+            },
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['stakedAmount', 'timestamp'],
+                [['stakedAmount', 'DESC'], ['delegatorPublicKey', 'ASC']]
+            ),
+            limit,
+            offset,
+        });
+    }
+
+    /**
+     * Era of the latest auction snapshot, when the era isn't given
+     */
+    async getAuctionEraId(eraId = undefined) {
+        if (eraId !== undefined && eraId !== null) {
+            return Number(eraId);
+        }
+
+        return await this.models.AuctionBid.max('eraId');
+    }
+
+    async findAuctionValidators(criteria, limit, offset, orderBy, orderDirection) {
+        const where = this.buildWhere(criteria, ['validatorPublicKey']);
+        where.eraId = await this.getAuctionEraId(criteria.eraId);
+        if (criteria.inactive !== undefined) {
+            where.inactive = !!Number(criteria.inactive);
+        }
+
+        return await this.models.AuctionBid.findAndCountAll({
+            where,
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['stakedAmount', 'delegationRate', 'delegatorCount', 'delegatedAmount', 'totalStakedAmount'],
+                [['totalStakedAmount', 'DESC'], ['validatorPublicKey', 'ASC']]
+            ),
+            limit,
+            offset,
+        });
+    }
+
+    /**
+     * Bids of the auction along with their delegators, the largest stake first
+     */
+    async findAuctionBids(criteria, limit, offset) {
+        const bids = await this.findAuctionValidators(criteria, limit, offset);
+        if (bids.rows.length === 0) {
+            return bids;
+        }
+
+        const delegators = await this.models.AuctionDelegator.findAll({
+            where: {
+                eraId: bids.rows[0].eraId,
+                validatorPublicKey: bids.rows.map(bid => bid.validatorPublicKey),
+            },
+            order: [['stakedAmount', 'DESC'], ['delegatorPublicKey', 'ASC']],
+        });
+
+        return {
+            count: bids.count,
+            rows: bids.rows.map(bid => ({
+                ...bid.toJSON(),
+                delegators: delegators
+                    .filter(delegator => delegator.validatorPublicKey === bid.validatorPublicKey)
+                    .map(delegator => delegator.toJSON()),
+            })),
+        };
+    }
+
+    async findDelegationHistory(criteria, limit, offset, orderBy, orderDirection) {
+        return await this.models.DelegationHistory.findAndCountAll({
+            where: this.buildWhere(criteria, ['delegatorPublicKey', 'validatorPublicKey', 'deployHash']),
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['stakedAmount', 'timestamp'],
+                [['timestamp', 'DESC'], ['validatorPublicKey', 'ASC']]
+            ),
+            limit,
+            offset,
+        });
+    }
+
+    /**
+     * Unbondings with the era, at the end of which they are paid out, and whether that era is over.
+     * `released` criterion of 1 or 0 selects only the released or the pending unbondings.
+     */
+    async findUnbondings(criteria, limit, offset, orderBy, orderDirection) {
+        // Unbondings created before this era are released, none of them without any stored block
+        const currentEraId = await this.models.Block.max('eraId');
+        const releasedBeforeEra = currentEraId !== null && !isNaN(currentEraId)
+            ? Number(currentEraId) - this.unbondingDelay
+            : Number.MIN_SAFE_INTEGER;
+
+        const where = this.buildWhere(criteria, ['unbonderPublicKey', 'validatorPublicKey']);
+        if (criteria.released !== undefined) {
+            where.eraOfCreation = Number(criteria.released)
+                ? { [Op.lt]: releasedBeforeEra }
+                : { [Op.gte]: releasedBeforeEra };
+        }
+
+        return await this.models.Unbonding.findAndCountAll({
+            attributes: {
+                include: [
+                    [sequelize.literal(`\`eraOfCreation\` + ${Number(this.unbondingDelay)}`), 'releaseEra'],
+                    [sequelize.literal(`CASE WHEN \`eraOfCreation\` < ${releasedBeforeEra} THEN 1 ELSE 0 END`), 'released'],
+                ],
+            },
+            where,
+            order: this.buildOrder(
+                orderBy,
+                orderDirection,
+                ['eraOfCreation', 'amount', 'timestamp'],
+                [['eraOfCreation', 'DESC'], ['validatorPublicKey', 'ASC']]
+            ),
+            limit,
+            offset,
+        });
+    }
+
     async getTotalDelegatorRewards(publicKey) {
         const result = await this.models.sequelize.query(
             'SELECT CAST(SUM(amount) AS char) AS total FROM `DelegatorRewards` WHERE publicKey = $1', {
@@ -872,4 +2400,12 @@ class Storage {
 
 }
 
+Storage.BALANCE_HISTORY_INTERVALS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+};
+
+Storage.MAX_BALANCE_HISTORY_POINTS = 1000;
+
 module.exports = Storage;
@@ -0,0 +1,68 @@
+const Storage = require('./storage');
+const CasperClient = require('./casperClient');
+const DeployClassifier = require('./deployClassifier');
+const env = process.env.NODE_ENV || 'development';
+const config = require(__dirname + '/../config/eh-config.json')[env];
+
+/**
+ * Nodes to follow, either from the comma separated NODE_ADDRESSES list, the single
+ * NODE_ADDRESS or the config
+ */
+const getSourceNodeAddresses = () => {
+    if (process.env.NODE_ADDRESSES) {
+        return process.env.NODE_ADDRESSES.split(',').map(address => address.trim()).filter(address => address !== '');
+    }
+
+    if (process.env.NODE_ADDRESS) {
+        return [process.env.NODE_ADDRESS];
+    }
+
+    return config.EH_STREAM_DOMAINS ? config.EH_STREAM_DOMAINS : [config.EH_STREAM_DOMAIN];
+};
+
+const createCasperClient = () => new CasperClient(getSourceNodeAddresses());
+
+/**
+ * Eras, after which the unbonded stake returns, from UNBONDING_DELAY or the config. Read by the
+ * Event Handler, that writes the payouts, and the Event Store, that tells the release eras.
+ */
+const getUnbondingDelay = () => process.env.UNBONDING_DELAY || config.EH_UNBONDING_DELAY;
+
+/**
+ * Storage set up the same way for the Event Handler, the backfill and the reindex: the deploy
+ * classifier, the unbonding delay and the custom transform handlers come from the environment
+ * or the config. Custom handlers can bring their own models, so they are loaded before the
+ * schema is synced.
+ */
+const createStorage = async (models, casperClient) => {
+    const storage = new Storage(models, casperClient);
+    storage.deployClassifier = new DeployClassifier({
+        knownWasmHashes: process.env.KNOWN_WASM_HASHES
+            ? JSON.parse(process.env.KNOWN_WASM_HASHES)
+            : config.EH_KNOWN_WASM_HASHES,
+    });
+    storage.setUnbondingDelay(getUnbondingDelay());
+
+    const transformHandlersDir = process.env.TRANSFORM_HANDLERS_DIR || config.EH_TRANSFORM_HANDLERS_DIR;
+    if (transformHandlersDir) {
+        const count = storage.transformHandlers.loadDirectory(transformHandlersDir);
+        console.log(`Info: Loaded ${count} transform handler modules from ${transformHandlersDir}`);
+    }
+
+    console.log('Info: Syncing database schema');
+    await models.sequelize.sync({ force: false, logging: false });
+    console.log('Info: Database schema synced');
+
+    if (process.env.TRACK_GENESIS_TOKENS === '1') {
+        await storage.enableGenesisAccountsTracking();
+    }
+
+    return storage;
+};
+
+module.exports = {
+    getSourceNodeAddresses,
+    createCasperClient,
+    getUnbondingDelay,
+    createStorage,
+};
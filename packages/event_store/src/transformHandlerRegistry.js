@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+
+/**
+ * Handlers of the transforms in the effects of the successfully executed deploys, keyed by
+ * the transform type (WriteTransfer, WriteBid, WriteCLValue, AddUInt512, ...).
+ *
+ * Handler modules are loaded from a directory. Every module can export:
+ * - `handlers` - an object mapping transform types to `async (context, storage, transaction)`
+ *   functions, where the context holds the `key` and the `value` of the transform, the
+ *   DeployProcessed `deploy` event and its `transferHashes`
+ * - `models` - a list of Sequelize model definitions, `(sequelize, DataTypes) => Model`,
+ *   the handlers write to. They are added to the other models and, when they have
+ *   a `deployHash` column, can be rebuilt by the Reindexer.
+ */
+class TransformHandlerRegistry {
+    constructor(models) {
+        this.models = models;
+        this.handlers = {};
+        this.modelNames = [];
+    }
+
+    register(transformType, handler) {
+        if (!this.handlers[transformType]) {
+            this.handlers[transformType] = [];
+        }
+
+        this.handlers[transformType].push(handler);
+    }
+
+    loadDirectory(directory) {
+        const files = fs.readdirSync(directory)
+            .filter(file => file.indexOf('.') !== 0 && file.slice(-3) === '.js')
+            .sort();
+
+        for (let file of files) {
+            const handlerModule = require(path.resolve(directory, file));
+
+            for (let defineModel of handlerModule.models || []) {
+                const model = defineModel(this.models.sequelize, DataTypes);
+                this.models[model.name] = model;
+                this.modelNames.push(model.name);
+            }
+
+            for (let transformType in handlerModule.handlers || {}) {
+                this.register(transformType, handlerModule.handlers[transformType]);
+            }
+        }
+
+        return files.length;
+    }
+
+    async handle(transform, deploy, transferHashes, storage, transaction = null) {
+        const transformType = TransformHandlerRegistry.getTransformType(transform);
+        const handlers = this.handlers[transformType];
+        if (!handlers) {
+            return;
+        }
+
+        const context = {
+            key: transform.key,
+            value: typeof transform.transform === 'string' ? null : transform.transform[transformType],
+            deploy,
+            transferHashes,
+        };
+
+        for (let handler of handlers) {
+            await handler(context, storage, transaction);
+        }
+    }
+}
+
+TransformHandlerRegistry.getTransformType = (transform) => {
+    // Transforms without a value, like Identity or WriteContract, come as bare strings
+    return typeof transform.transform === 'string'
+        ? transform.transform
+        : Object.keys(transform.transform || {})[0];
+};
+
+module.exports = TransformHandlerRegistry;
@@ -0,0 +1,20 @@
+module.exports = {
+    handlers: {
+        WriteBid: async ({ key, value, deploy }, storage, transaction) => {
+            await storage.storeAccounts([value.validator_public_key].concat(Object.keys(value.delegators || {})), transaction);
+
+            await storage.storeEntity('Bid', {
+                key,
+                deployHash: deploy.deploy_hash,
+                validatorPublicKey: value.validator_public_key,
+                bondingPurse: value.bonding_purse,
+                stakedAmount: value.staked_amount,
+                delegationRate: value.delegation_rate,
+                inactive: value.inactive,
+                vestingSchedule: value.vesting_schedule,
+                delegators: value.delegators,
+                timestamp: deploy.timestamp,
+            }, transaction);
+        },
+    },
+};
@@ -0,0 +1,120 @@
+const { Transaction } = require('sequelize');
+const TransformHandlerRegistry = require('../transformHandlerRegistry');
+
+// Keys of the transforms are prefixed with "hash-", the hashes in the stored values with their type
+const stripHashPrefix = (hash) => hash.replace(/^(hash-|contract-package-wasm|contract-package-|contract-wasm-|contract-)/, '');
+
+const findTransforms = (deploy, transformType) => {
+    return deploy.execution_result.Success.effect.transforms.filter(
+        transform => TransformHandlerRegistry.getTransformType(transform) === transformType
+    );
+};
+
+/**
+ * The nodes 1.x don't include the written contracts and packages in the transforms, so they are
+ * linked by the deploy, that wrote them: a deploy writing a single package installs or upgrades it.
+ */
+const findWrittenHash = (deploy, transformType) => {
+    const transforms = findTransforms(deploy, transformType);
+
+    return transforms.length === 1 ? stripHashPrefix(transforms[0].key) : null;
+};
+
+// Version of the contract, when the written package tells it
+const findContractVersion = (deploy, contractHash) => {
+    for (let transform of findTransforms(deploy, 'WriteContractPackage')) {
+        const contractPackage = transform.transform.WriteContractPackage;
+        if (contractPackage && contractPackage.versions) {
+            const version = contractPackage.versions.find(version => stripHashPrefix(version.contract_hash) === contractHash);
+            if (version) {
+                return version.contract_version;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Otherwise the contracts of the package are numbered in the order they were installed. Deploys
+ * of the same package can be stored at the same time and in any order, so the rows of the package
+ * are locked and all of them numbered again, which also gives the same numbers on a replay.
+ * A deadlock with another deploy rolls the transaction back, Storage.transaction runs it again.
+ */
+const lockContractVersions = async (storage, contractPackageHash, transaction) => {
+    return await storage.models.Contract.findAll({
+        where: { contractPackageHash },
+        order: [['timestamp', 'ASC'], ['contractHash', 'ASC']],
+        lock: Transaction.LOCK.UPDATE,
+        transaction,
+    });
+};
+
+const renumberContractVersions = async (storage, contractPackageHash, transaction) => {
+    const contracts = await lockContractVersions(storage, contractPackageHash, transaction);
+    for (let [index, contract] of contracts.entries()) {
+        if (contract.version !== index + 1) {
+            await storage.updateEntity('Contract', { version: index + 1 }, {
+                where: { contractHash: contract.contractHash },
+                transaction,
+            });
+        }
+    }
+};
+
+module.exports = {
+    handlers: {
+        WriteContractPackage: async ({ key, value, deploy }, storage, transaction) => {
+            const contractPackageHash = stripHashPrefix(key);
+            const disabledVersions = value && value.disabled_versions
+                ? value.disabled_versions.map(version => version.contract_version)
+                : [];
+
+            const contractPackage = await storage.storeEntity('ContractPackage', {
+                contractPackageHash,
+                deployHash: deploy.deploy_hash,
+                deployerAccount: deploy.account,
+                accessKey: value ? value.access_key : null,
+                disabledVersions,
+                timestamp: deploy.timestamp,
+            }, transaction);
+
+            // An existing package is written again when a version is added or disabled
+            if (contractPackage === false && value) {
+                await storage.updateEntity('ContractPackage', { disabledVersions }, {
+                    where: { contractPackageHash },
+                    transaction,
+                });
+            }
+        },
+        WriteContract: async ({ key, value, deploy }, storage, transaction) => {
+            const contractHash = stripHashPrefix(key);
+            const contractPackageHash = value && value.contract_package_hash
+                ? stripHashPrefix(value.contract_package_hash)
+                : findWrittenHash(deploy, 'WriteContractPackage');
+
+            const version = contractPackageHash ? findContractVersion(deploy, contractHash) : null;
+            if (contractPackageHash && version === null) {
+                await lockContractVersions(storage, contractPackageHash, transaction);
+            }
+
+            const contract = await storage.storeEntity('Contract', {
+                contractHash,
+                contractPackageHash,
+                contractWasmHash: value && value.contract_wasm_hash
+                    ? stripHashPrefix(value.contract_wasm_hash)
+                    : findWrittenHash(deploy, 'WriteContractWasm'),
+                version,
+                deployHash: deploy.deploy_hash,
+                deployerAccount: deploy.account,
+                protocolVersion: value ? value.protocol_version : null,
+                entryPoints: value ? value.entry_points : null,
+                timestamp: deploy.timestamp,
+            }, transaction);
+
+            if (contract && contractPackageHash && version === null) {
+                await renumberContractVersions(storage, contractPackageHash, transaction);
+            }
+        },
+    },
+};
@@ -0,0 +1,91 @@
+const { BigNumber } = require('@ethersproject/bignumber');
+const { Transaction } = require('sequelize');
+
+// Delegators of the bid come keyed by their public keys, or as a list in the later node versions
+const getDelegators = (bid) => {
+    const delegators = Array.isArray(bid.delegators)
+        ? bid.delegators.map(delegator => delegator.delegator || delegator)
+        : Object.values(bid.delegators || {});
+
+    const delegatorsByPublicKey = {};
+    for (let delegator of delegators) {
+        delegatorsByPublicKey[delegator.delegator_public_key] = delegator;
+    }
+
+    return delegatorsByPublicKey;
+};
+
+/**
+ * Every bid holds all the delegators of the validator, so the delegations missing from it
+ * have ended. The stored delegations, that were changed by a later deploy, are left as they are.
+ */
+module.exports = {
+    handlers: {
+        WriteBid: async ({ value, deploy }, storage, transaction) => {
+            if (!storage.isWritable('Delegation') && !storage.isWritable('DelegationHistory')) {
+                return;
+            }
+
+            const validatorPublicKey = value.validator_public_key;
+            const timestamp = new Date(deploy.timestamp);
+            const delegators = getDelegators(value);
+
+            // Deploys are processed in parallel. Locking the delegations of the validator (and, through
+            // the index, the gaps for new delegators) keeps the bids of the validator from interleaving.
+            // Two bids locking the same gap can deadlock on MySQL, the one rolled back is run again.
+            const delegations = {};
+            const storedDelegations = await storage.models.Delegation.findAll({
+                where: { validatorPublicKey },
+                lock: Transaction.LOCK.UPDATE,
+                transaction,
+            });
+            for (let delegation of storedDelegations) {
+                delegations[delegation.delegatorPublicKey] = delegation;
+            }
+
+            const delegatorPublicKeys = new Set(Object.keys(delegators).concat(Object.keys(delegations)));
+            for (let delegatorPublicKey of delegatorPublicKeys) {
+                const delegator = delegators[delegatorPublicKey];
+                const delegation = delegations[delegatorPublicKey];
+
+                const stakedAmount = BigNumber.from(delegator ? delegator.staked_amount : 0);
+                const previousStakedAmount = BigNumber.from(delegation ? String(delegation.stakedAmount) : 0);
+                if (stakedAmount.eq(previousStakedAmount) || (delegation && delegation.timestamp > timestamp)) {
+                    continue;
+                }
+
+                const values = {
+                    stakedAmount: stakedAmount.toString(),
+                    deployHash: deploy.deploy_hash,
+                    timestamp,
+                };
+                if (delegator) {
+                    values.bondingPurse = delegator.bonding_purse;
+                }
+
+                if (delegation) {
+                    await storage.updateEntity('Delegation', values, {
+                        where: { delegatorPublicKey, validatorPublicKey },
+                        transaction,
+                    });
+                }
+                else {
+                    await storage.storeEntity('Delegation', {
+                        ...values,
+                        delegatorPublicKey,
+                        validatorPublicKey,
+                    }, transaction);
+                }
+
+                await storage.storeEntity('DelegationHistory', {
+                    deployHash: deploy.deploy_hash,
+                    validatorPublicKey,
+                    delegatorPublicKey,
+                    stakedAmount: stakedAmount.toString(),
+                    previousStakedAmount: previousStakedAmount.toString(),
+                    timestamp,
+                }, transaction);
+            }
+        },
+    },
+};
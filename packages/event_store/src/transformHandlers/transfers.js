@@ -0,0 +1,64 @@
+const { BigNumber } = require('@ethersproject/bignumber');
+
+module.exports = {
+    handlers: {
+        WriteTransfer: async ({ key, value, deploy, transferHashes }, storage, transaction) => {
+            if (!transferHashes.includes(key)) {
+                return;
+            }
+
+            let transfer = {
+                transferHash: key,
+                deployHash: deploy.deploy_hash,
+                blockHash: deploy.block_hash,
+                fromAccount: value.from.substring(13),
+                toAccount: value.to
+                    ? value.to.substring(13)
+                    : null,
+                sourcePurse: value.source,
+                targetPurse: value.target,
+                amount: value.amount,
+                transferId: value.id,
+                timestamp: deploy.timestamp,
+            };
+
+            await storage.storeEntity('Transfer', transfer, transaction);
+
+            const ledgerEntry = {
+                reference: key,
+                staked: 0,
+                unbonding: 0,
+                deployHash: deploy.deploy_hash,
+                timestamp: deploy.timestamp,
+            };
+            await storage.storeEntity('AccountLedgerEntry', {
+                ...ledgerEntry,
+                accountHash: transfer.fromAccount,
+                kind: 'transfer_out',
+                liquid: BigNumber.from(transfer.amount).mul(-1).toString(),
+            }, transaction);
+            if (transfer.toAccount) {
+                await storage.storeEntity('AccountLedgerEntry', {
+                    ...ledgerEntry,
+                    accountHash: transfer.toAccount,
+                    kind: 'transfer_in',
+                    liquid: transfer.amount,
+                }, transaction);
+            }
+
+            if (
+                storage.withGenesisAccountsTracking &&
+                storage.genesisAccountHashesMap.hasOwnProperty(transfer.fromAccount)
+            ) {
+                // If the genesis accounts tracking is enabled and the transfer comes
+                // from a genesis account then let's track the transfer separately
+                await storage.storeEntity('GenesisAccountTransfer', {
+                    ...transfer,
+                    isInternal: storage.genesisAccountHashesMap.hasOwnProperty(transfer.toAccount) ? 1 : 0,
+                    isIgnored: BigNumber.from(transfer.amount).gte('5000000000000000'), // 5 million tokens
+                    isReviewed: 0,
+                }, transaction);
+            }
+        },
+    },
+};
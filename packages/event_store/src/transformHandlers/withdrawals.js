@@ -0,0 +1,50 @@
+module.exports = {
+    handlers: {
+        WriteWithdraw: async ({ key, value, deploy }, storage, transaction) => {
+            for (let withdrawal of value) {
+                await storage.storeAccounts([withdrawal.validator_public_key, withdrawal.unbonder_public_key], transaction);
+
+                await storage.storeEntity('Withdrawal', {
+                    key,
+                    deployHash: deploy.deploy_hash,
+                    validatorPublicKey: withdrawal.validator_public_key,
+                    unbonderPublicKey: withdrawal.unbonder_public_key,
+                    bondingPurse: withdrawal.bonding_purse,
+                    amount: withdrawal.amount,
+                    eraOfCreation: withdrawal.era_of_creation,
+                    timestamp: deploy.timestamp,
+                }, transaction);
+            }
+
+            if (storage.isWritable('Unbonding')) {
+                // Unbondings of the earlier withdrawals, that are still pending, are listed again
+                const sequences = {};
+                const unbondings = value.map(withdrawal => {
+                    const identity = [
+                        withdrawal.unbonder_public_key,
+                        withdrawal.validator_public_key,
+                        withdrawal.bonding_purse,
+                        withdrawal.era_of_creation,
+                        withdrawal.amount,
+                    ].join('-');
+                    sequences[identity] = (sequences[identity] || 0) + 1;
+
+                    return {
+                        unbonderPublicKey: withdrawal.unbonder_public_key,
+                        validatorPublicKey: withdrawal.validator_public_key,
+                        bondingPurse: withdrawal.bonding_purse,
+                        eraOfCreation: withdrawal.era_of_creation,
+                        amount: withdrawal.amount,
+                        sequence: sequences[identity],
+                        deployHash: deploy.deploy_hash,
+                        timestamp: deploy.timestamp,
+                    };
+                });
+
+                if (unbondings.length > 0) {
+                    await storage.models.Unbonding.bulkCreate(unbondings, { ignoreDuplicates: true, transaction });
+                }
+            }
+        },
+    },
+};
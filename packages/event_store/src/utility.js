@@ -1,3 +1,5 @@
+const { blake2b } = require('blakejs');
+
 const formatDate = (date) => {
     return date.getFullYear() + '-' +
         ('0' + (date.getMonth() + 1)).slice(-2) + '-' +
@@ -6,6 +8,71 @@ const formatDate = (date) => {
         ('0' + date.getMinutes()).slice(-2) + ':00';
 };
 
+const ttlUnits = {
+    ms: 1, msec: 1,
+    s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+    m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+    h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+    d: 86400000, day: 86400000, days: 86400000,
+    w: 604800000, week: 604800000, weeks: 604800000,
+};
+
+/**
+ * Converts a deploy ttl, like "30m" or "1h 30m", into milliseconds. Returns null for
+ * the formats it doesn't know.
+ */
+const parseTtl = (ttl) => {
+    const parts = String(ttl).trim().split(/\s+/);
+    let milliseconds = 0;
+
+    for (let part of parts) {
+        const match = part.match(/^(\d+)([a-z]+)$/);
+        if (!match || !ttlUnits[match[2]]) {
+            return null;
+        }
+
+        milliseconds += Number(match[1]) * ttlUnits[match[2]];
+    }
+
+    return milliseconds;
+};
+
+/**
+ * Turns the runtime args of a deploy, a list of [name, CLValue] pairs, into an object of their
+ * parsed values. Values, that the node couldn't parse, are kept as their type and bytes.
+ */
+const decodeRuntimeArgs = (args) => {
+    const decoded = {};
+    for (let [name, value] of args || []) {
+        decoded[name] = value.parsed !== undefined
+            ? value.parsed
+            : { cl_type: value.cl_type, bytes: value.bytes };
+    }
+
+    return decoded;
+};
+
+/**
+ * Account hash of the public key: blake2b256 of the lowercase name of the key algorithm,
+ * a zero byte and the key without its algorithm tag
+ */
+const publicKeyToAccountHash = (publicKeyHex) => {
+    const algorithm = publicKeyHex.substring(0, 2) === '01' ? 'ed25519' : 'secp256k1';
+    const data = Buffer.concat([
+        Buffer.from(algorithm),
+        Buffer.from([0]),
+        Buffer.from(publicKeyHex.substring(2), 'hex'),
+    ]);
+
+    return Buffer.from(blake2b(data, null, 32)).toString('hex');
+};
+
+const isPublicKeyHex = (value) => /^(01[0-9a-f]{64}|02[0-9a-f]{66})$/i.test(value);
+
 module.exports = {
-    formatDate
+    formatDate,
+    publicKeyToAccountHash,
+    isPublicKeyHex,
+    parseTtl,
+    decodeRuntimeArgs
 };
@@ -1,4 +1,69 @@
+const blockHash = (height) => `block${height}_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3`;
+
+/**
+ * Block in the format of the 1.x nodes, as sent with BlockAdded and returned by chain_get_block
+ */
+const createBlock = ({
+    height,
+    parentHash = blockHash(height - 1),
+    eraId = 1,
+    timestamp = '2021-04-01T10:00:00.000Z',
+    deployHashes = [],
+    transferHashes = [],
+}) => ({
+    hash: blockHash(height),
+    header: {
+        parent_hash: parentHash,
+        state_root_hash: 'state_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3',
+        era_end: null,
+        timestamp,
+        era_id: eraId,
+        height,
+        protocol_version: '1.0.0',
+    },
+    body: {
+        proposer: '01aa',
+        deploy_hashes: deployHashes,
+        transfer_hashes: transferHashes,
+    },
+});
+
+const createBlockAddedEvent = (options) => {
+    const block = createBlock(options);
+
+    return { block_hash: block.hash, block };
+};
+
+/**
+ * Successfully executed deploy with the given effect
+ */
+const createDeployProcessedEvent = ({
+    deployHash = 'deploy1',
+    account = '01bb',
+    timestamp = '2021-04-01T09:59:00.000Z',
+    blockHash: deployBlockHash = blockHash(1),
+    transforms = [],
+    transfers = [],
+} = {}) => ({
+    deploy_hash: deployHash,
+    account,
+    timestamp,
+    block_hash: deployBlockHash,
+    execution_result: {
+        Success: {
+            effect: { operations: [], transforms },
+            transfers,
+            cost: '10000',
+        },
+    },
+});
+
 module.exports = {
+    blockHash,
+    createBlock,
+    createBlockAddedEvent,
+    createDeployProcessedEvent,
+
     deployProcessedEvent1: {
         "deploy_hash":"deploy1_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3",
         "account": "010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932",
@@ -142,6 +207,160 @@ module.exports = {
             "height":1802,
             "proposer":"01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606"
         }
+    },
+
+    deployAcceptedEvent1: {
+        "DeployAccepted": {
+            "hash": "deploy1_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3",
+            "header": {
+                "account": "01f2ffc4dc1cd5fc5e7a3ac3e4a54e2cf7a1a5b3a6a2a9abb2c1b8a8fdca5a3e6c",
+                "timestamp": "2020-10-08T12:10:00.000Z",
+                "ttl": "30m",
+                "gas_price": 1,
+                "body_hash": "4ab3aa4f4e4b0ba5bd2d56f5c8f3fe71a29e84bdc43e4b1bc3f2f1d76b5f0b92",
+                "dependencies": [],
+                "chain_name": "casper-test"
+            },
+            "payment": {
+                "ModuleBytes": {
+                    "module_bytes": "",
+                    "args": []
+                }
+            },
+            "session": {
+                "Transfer": {
+                    "args": []
+                }
+            },
+            "approvals": []
+        }
+    },
+
+    faultEvent1: {
+        "Fault": {
+            "era_id": 163,
+            "public_key": "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606",
+            "timestamp": "2020-10-08T12:14:35.808Z"
+        }
+    },
+
+    faultEvent2: {
+        "Fault": {
+            "era_id": 164,
+            "public_key": "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606",
+            "timestamp": "2020-10-08T14:14:35.808Z"
+        }
+    },
+
+    faultEvent3: {
+        "Fault": {
+            "era_id": 164,
+            "public_key": "010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932",
+            "timestamp": "2020-10-08T14:15:35.808Z"
+        }
+    },
+
+    deployExpiredEvent1: {
+        "DeployExpired": {
+            "deploy_hash": "deploy4_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3"
+        }
+    },
+
+    shutdownEvent: "Shutdown",
+
+    stepEvent1: {
+        "Step": {
+            "era_id": 163,
+            "execution_effect": {
+                "operations": [],
+                "transforms": [
+                    {
+                        "key": "era-163",
+                        "transform": {
+                            "WriteEraInfo": {
+                                "seigniorage_allocations": [
+                                    {
+                                        "Validator": {
+                                            "validator_public_key": "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606",
+                                            "amount": "1000000000"
+                                        }
+                                    },
+                                    {
+                                        "Delegator": {
+                                            "delegator_public_key": "010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932",
+                                            "validator_public_key": "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606",
+                                            "amount": "250000000"
+                                        }
+                                    }
+                                ]
+                            }
+                        }
+                    },
+                    {
+                        "key": "hash-8cf5e4acf51f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401",
+                        "transform": "Identity"
+                    }
+                ]
+            }
+        }
+    },
+
+    genesisBlockAddedEvent: {
+        "BlockAdded": {
+            "block_hash": "genesis_09191316db2ad075bf005cba502e2a46f83102bceb736356a9c51111",
+            "block": {
+                "hash": "genesis_09191316db2ad075bf005cba502e2a46f83102bceb736356a9c51111",
+                "header": {
+                    "parent_hash": "0000000000000000000000000000000000000000000000000000000000000000",
+                    "state_root_hash": "state0_09191316db2ad075bf005cba502e2a46f83102bceb736356a9c51111",
+                    "era_end": null,
+                    "timestamp": "2020-10-01T00:00:00.000Z",
+                    "era_id": 0,
+                    "height": 0,
+                    "protocol_version": "1.0.0"
+                },
+                "body": {
+                    "proposer": "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606",
+                    "deploy_hashes": [],
+                    "transfer_hashes": []
+                }
+            }
+        }
+    },
+
+    switchBlockAddedEvent1: {
+        "BlockAdded": {
+            "block_hash": "block4_09191316db2ad075bf005cba502e2a46f83102bceb736356a9c51111",
+            "block": {
+                "hash": "block4_09191316db2ad075bf005cba502e2a46f83102bceb736356a9c51111",
+                "header": {
+                    "parent_hash": "block3_09191316db2ad075bf005cba502e2a46f83102bceb736356a9c51111",
+                    "state_root_hash": "cc1b4d3c56f26c63b0683b5d0eb7e165226a05c12e189739c8b477e633582f47",
+                    "body_hash": "da223b09967c5bd2110743307e0af6d39f61720aa7218a640a08eed12dd575c7",
+                    "random_bit": true,
+                    "era_end": {
+                        "era_report": {
+                            "equivocators": [],
+                            "rewards": {
+                                "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606": 1000000000
+                            },
+                            "inactive_validators": []
+                        },
+                        "next_era_validator_weights": {
+                            "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606": "5000000000000"
+                        }
+                    },
+                    "timestamp": "2020-10-08T12:14:35.808Z",
+                    "era_id": 163,
+                    "height": 1803,
+                    "protocol_version": "1.0.0"
+                },
+                "body": {
+                    "proposer": "01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606",
+                    "deploy_hashes": [],
+                    "transfer_hashes": []
+                }
+            }
+        }
     }
 }
-
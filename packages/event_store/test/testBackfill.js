@@ -0,0 +1,175 @@
+var assert = require('chai').assert;
+const http = require('http');
+
+var models = require('../src/models/index');
+const Storage = require('../src/storage');
+const CasperClient = require('../src/casperClient');
+const Backfill = require('../src/backfill');
+const Reindexer = require('../src/reindexer');
+const { blockHash, createBlock } = require('./mockData');
+
+const rpcPort = 7778;
+
+const transferDeploy = {
+    deploy: {
+        hash: 'transfer1',
+        header: {
+            account: '01bb',
+            timestamp: '2021-04-01T09:59:00.000Z',
+            ttl: '30m',
+            dependencies: [],
+        },
+    },
+    execution_results: [{
+        block_hash: blockHash(2),
+        result: {
+            Success: {
+                effect: {
+                    operations: [],
+                    transforms: [{
+                        key: 'transfer-9f8ec179be8b2d526ed44d077f8b23830f1f1d41eafe77a88bd245a9b5eb0258',
+                        transform: {
+                            WriteTransfer: {
+                                deploy_hash: 'transfer1',
+                                from: 'account-hash-8338671be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef',
+                                to: 'account-hash-bbbbbb1be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef',
+                                source: 'uref-f8f32523da86b93b40adee95a05c8b7229887e0d345641a914b1c09d5052563b-007',
+                                target: 'uref-ab9a01563bfd412cd63f03fa99de8c1a4bd573a79e0697229e1844fcf7bb9e04-004',
+                                amount: '1000000000',
+                                gas: '0',
+                                id: '1233',
+                            },
+                        },
+                    }],
+                },
+                transfers: ['transfer-9f8ec179be8b2d526ed44d077f8b23830f1f1d41eafe77a88bd245a9b5eb0258'],
+                cost: '10000',
+            },
+        },
+    }],
+};
+
+/**
+ * Minimal RPC node serving 3 blocks, the 2nd one with a transfer
+ */
+const createMockRpcNode = () => {
+    const node = {
+        requests: [],
+        failingMethod: null,
+    };
+
+    node.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const { id, method, params } = JSON.parse(body);
+            node.requests.push(method);
+
+            let result;
+            if (method === node.failingMethod) {
+                res.writeHead(500);
+                res.end();
+                return;
+            } else if (method === 'info_get_status') {
+                result = { api_version: '1.0.0' };
+            } else if (method === 'chain_get_block') {
+                const height = params.block_identifier.Height;
+                result = { block: createBlock({ height, transferHashes: height === 2 ? ['transfer1'] : [] }) };
+            } else if (method === 'info_get_deploy') {
+                result = transferDeploy;
+            } else if (method === 'chain_get_block_transfers') {
+                result = { transfers: params.block_identifier.Hash === blockHash(2) ? [{ deploy_hash: 'transfer1' }] : [] };
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        });
+    });
+
+    return node;
+};
+
+describe('Backfill', async () => {
+    let storage, backfill, mockNode;
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+
+        mockNode = createMockRpcNode();
+        await new Promise(resolve => mockNode.server.listen(rpcPort, resolve));
+
+        const casperClient = new CasperClient('localhost', rpcPort);
+        storage = new Storage(models, casperClient);
+        backfill = new Backfill(storage, casperClient);
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => mockNode.server.close(resolve));
+    });
+
+    it('Should store the blocks, deploys and transfers of a height range', async () => {
+        const result = await backfill.run(1, 3);
+        assert.deepEqual(result, { stored: 3, skipped: 0 });
+
+        const block = await storage.findBlockByHeight(2);
+        assert.strictEqual(block.blockHash, blockHash(2));
+        assert.strictEqual(block.transferCount, 1);
+
+        const deploy = await storage.findDeployByHash('transfer1');
+        assert.strictEqual(deploy.blockHash, blockHash(2));
+        assert.strictEqual(deploy.account, '01bb');
+
+        const { rows: transfers } = await storage.findTransfers({ blockHash: blockHash(2) }, 10, 0);
+        assert.strictEqual(transfers.length, 1);
+        assert.strictEqual(transfers[0].amount, '1000000000');
+    });
+
+    it('Should store the raw events, so the backfilled blocks survive a reindex', async () => {
+        await backfill.run(1, 3);
+
+        const rawBlock = await models.RawBlockAddedEvent.findByPk(2);
+        assert.strictEqual(JSON.parse(rawBlock.jsonBody).BlockAdded.block_hash, blockHash(2));
+        const rawDeploy = await models.RawDeployProcessedEvent.findByPk('transfer1');
+        assert.strictEqual(JSON.parse(rawDeploy.jsonBody).DeployProcessed.block_hash, blockHash(2));
+        assert.strictEqual(rawBlock.sourceNodeId, (await storage.findSourceNodeByAddressOrCreate('localhost')).id);
+
+        const result = await new Reindexer(storage).run();
+        assert.deepEqual(result, { blocks: 3, deploys: 1 });
+
+        assert.strictEqual((await storage.findBlockByHeight(2)).transferCount, 1);
+        assert.strictEqual((await storage.findDeployByHash('transfer1')).blockHash, blockHash(2));
+        const { rows: transfers } = await storage.findTransfers({ blockHash: blockHash(2) }, 10, 0);
+        assert.strictEqual(transfers.length, 1);
+    });
+
+    it('Should skip the stored blocks when resumed', async () => {
+        await backfill.run(1, 2);
+
+        mockNode.requests = [];
+        const result = await backfill.run(1, 3);
+
+        assert.deepEqual(result, { stored: 1, skipped: 2 });
+        assert.deepEqual(mockNode.requests, ['info_get_status', 'chain_get_block', 'chain_get_block_transfers']);
+    });
+
+    it('Should not store a block when any of its deploys could not be fetched', async () => {
+        mockNode.failingMethod = 'info_get_deploy';
+
+        let error = null;
+        try {
+            await backfill.run(1, 3);
+        } catch (err) {
+            error = err;
+        }
+
+        assert.isNotNull(error);
+        assert.isNotNull(await storage.findBlockByHeight(1));
+        assert.isNull(await storage.findBlockByHeight(2));
+
+        mockNode.failingMethod = null;
+        const result = await backfill.run(1, 3);
+
+        assert.deepEqual(result, { stored: 2, skipped: 1 });
+        assert.isNotNull(await storage.findDeployByHash('transfer1'));
+    });
+});
@@ -0,0 +1,36 @@
+const { Model } = require('sequelize');
+
+const defineCLValueWrite = (sequelize, DataTypes) => {
+    class CLValueWrite extends Model {}
+
+    CLValueWrite.init({
+        deployHash: {
+            type: DataTypes.STRING(64),
+            primaryKey: true,
+        },
+        key: {
+            type: DataTypes.STRING(74),
+            primaryKey: true,
+        },
+        clType: DataTypes.STRING,
+    }, {
+        sequelize,
+        timestamps: false,
+        modelName: 'CLValueWrite',
+    });
+
+    return CLValueWrite;
+};
+
+module.exports = {
+    models: [defineCLValueWrite],
+    handlers: {
+        WriteCLValue: async ({ key, value, deploy }, storage, transaction) => {
+            await storage.storeEntity('CLValueWrite', {
+                deployHash: deploy.deploy_hash,
+                key,
+                clType: JSON.stringify(value.cl_type),
+            }, transaction);
+        },
+    },
+};
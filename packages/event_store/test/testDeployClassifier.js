@@ -0,0 +1,150 @@
+var assert = require('chai').assert;
+const DeployClassifier = require('../src/deployClassifier');
+const { createDeployProcessedEvent } = require('./mockData');
+
+const failedDeployProcessedEvent = {
+    ...createDeployProcessedEvent(),
+    execution_result: {
+        Failure: {
+            effect: { operations: [], transforms: [] },
+            transfers: [],
+            cost: '10000',
+            error_message: 'User error: 1',
+        },
+    },
+};
+
+const arg = (name) => [name, { cl_type: 'U512', bytes: '00', parsed: '0' }];
+
+const moduleBytesDeploy = (argNames, moduleBytes = '0061736d01') => ({
+    hash: 'deploy1',
+    session: {
+        ModuleBytes: {
+            module_bytes: moduleBytes,
+            args: argNames.map(arg),
+        },
+    },
+});
+
+const storedContractDeploy = (entryPoint) => ({
+    hash: 'deploy1',
+    session: {
+        StoredContractByHash: {
+            hash: 'ccb576d6ce6dec84a551e48f0d0b7af89ddba44c7390b690036257a04a3ae9ea',
+            entry_point: entryPoint,
+            args: [],
+        },
+    },
+});
+
+const transform = (type, value = {}) => ({ key: `${type}-key`, transform: { [type]: value } });
+
+describe('DeployClassifier', async () => {
+    const classifier = new DeployClassifier();
+
+    it('Should classify native transfers', async () => {
+        const deploy = { hash: 'deploy1', session: { Transfer: { args: [arg('amount'), arg('target')] } } };
+
+        assert.strictEqual(classifier.classify(createDeployProcessedEvent({ transfers: ['transfer-1'] }), deploy), 'native_transfer');
+        assert.strictEqual(classifier.classify(failedDeployProcessedEvent, deploy), 'native_transfer');
+    });
+
+    it('Should classify wasm transfers', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteTransfer')], transfers: ['transfer-1'] });
+
+        assert.strictEqual(classifier.classify(event, moduleBytesDeploy(['amount', 'target'])), 'wasm_transfer');
+    });
+
+    it('Should classify the auction entry points called on the stored contract', async () => {
+        for (let [entryPoint, transformType] of [
+            ['delegate', 'WriteBid'],
+            ['undelegate', 'WriteWithdraw'],
+            ['redelegate', 'WriteUnbonding'],
+            ['add_bid', 'WriteBid'],
+            ['withdraw_bid', 'WriteWithdraw'],
+        ]) {
+            const event = createDeployProcessedEvent({ transforms: [transform(transformType)] });
+            assert.strictEqual(classifier.classify(event, storedContractDeploy(entryPoint)), entryPoint);
+        }
+    });
+
+    it('Should classify the auction entry points without the auction effects as contract calls', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteCLValue')] });
+
+        assert.strictEqual(classifier.classify(event, storedContractDeploy('delegate')), 'contract_call');
+        assert.strictEqual(classifier.classify(event, storedContractDeploy('undelegate')), 'contract_call');
+        assert.strictEqual(classifier.classify(failedDeployProcessedEvent, storedContractDeploy('add_bid')), 'contract_call');
+    });
+
+    it('Should classify delegate by the wasm args and effects', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteBid')] });
+
+        assert.strictEqual(classifier.classify(event, moduleBytesDeploy(['delegator', 'validator', 'amount'])), 'delegate');
+    });
+
+    it('Should classify undelegate by the wasm args and effects', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteBid'), transform('WriteWithdraw', [])] });
+
+        assert.strictEqual(classifier.classify(event, moduleBytesDeploy(['delegator', 'validator', 'amount'])), 'undelegate');
+    });
+
+    it('Should classify redelegate by the wasm args', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteUnbonding', [])] });
+
+        assert.strictEqual(
+            classifier.classify(event, moduleBytesDeploy(['delegator', 'validator', 'amount', 'new_validator'])),
+            'redelegate'
+        );
+    });
+
+    it('Should classify add_bid by the wasm args', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteBid')] });
+
+        assert.strictEqual(
+            classifier.classify(event, moduleBytesDeploy(['public_key', 'amount', 'delegation_rate'])),
+            'add_bid'
+        );
+    });
+
+    it('Should classify withdraw_bid by the wasm args and effects', async () => {
+        const event = createDeployProcessedEvent({ transforms: [transform('WriteWithdraw', [])] });
+
+        assert.strictEqual(classifier.classify(event, moduleBytesDeploy(['public_key', 'amount'])), 'withdraw_bid');
+    });
+
+    it('Should classify contract installs', async () => {
+        const event = createDeployProcessedEvent({ transforms: [
+            { key: 'hash-1', transform: 'WriteContractWasm' },
+            { key: 'hash-2', transform: 'WriteContract' },
+            { key: 'hash-3', transform: 'WriteContractPackage' },
+        ] });
+
+        assert.strictEqual(classifier.classify(event, moduleBytesDeploy([])), 'contract_install');
+        assert.strictEqual(classifier.classify(event, null), 'contract_install');
+    });
+
+    it('Should classify contract calls', async () => {
+        assert.strictEqual(classifier.classify(createDeployProcessedEvent(), storedContractDeploy('mint')), 'contract_call');
+        assert.strictEqual(classifier.classify(createDeployProcessedEvent(), {
+            hash: 'deploy1',
+            session: {
+                StoredVersionedContractByName: { name: 'erc20', version: null, entry_point: 'transfer', args: [] },
+            },
+        }), 'contract_call');
+    });
+
+    it('Should recognize the known wasm regardless of its effects', async () => {
+        const deploy = moduleBytesDeploy(['delegator', 'validator', 'amount'], '0061736d0100000001');
+        const knownClassifier = new DeployClassifier({
+            knownWasmHashes: { [classifier.hashModuleBytes('0061736d0100000001')]: 'delegate' },
+        });
+
+        assert.strictEqual(knownClassifier.classify(failedDeployProcessedEvent, deploy), 'delegate');
+        assert.strictEqual(classifier.classify(failedDeployProcessedEvent, deploy), 'other');
+    });
+
+    it('Should leave the deploys with an unknown body unclassified', async () => {
+        assert.isNull(classifier.classify(createDeployProcessedEvent({ transforms: [transform('WriteBid')] }), null));
+        assert.strictEqual(classifier.classify(createDeployProcessedEvent(), moduleBytesDeploy(['message'])), 'other');
+    });
+});
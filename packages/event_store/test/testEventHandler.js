@@ -1,34 +1,261 @@
 var assert = require('chai').assert;
-const cp = require('child_process');
+const http = require('http');
 
-const runEventHandler = require('../src/eventHandler');
 var models = require('../src/models/index');
 const Storage = require('../src/storage');
+const EventStreamSubscriber = require('../src/eventStreamSubscriber');
+
+const port = 9999;
 
 /**
- * Event Handler stream can be configured in eh-config.json
- * 
- * Tests to be Added
- *  - Handle connection drop 
+ * Minimal SSE node: every connection starts with the ApiVersion event, the
+ * behaviour after that is up to the test
  */
+const createMockNode = (onConnection) => {
+    const connections = [];
+    const server = http.createServer((req, res) => {
+        connections.push(req.url);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data:{"ApiVersion":"1.0.0"}\n\n');
+        onConnection(req, res, connections.length);
+    });
+
+    return { server, connections };
+};
+
+const waitFor = async (condition, timeout = 3000) => {
+    const start = Date.now();
+    while (!(await condition())) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
 
 describe('EventHandler', async () => {
+    let storage, sourceNode, eventStream, mockNode, subscriber, otherMockNode, otherSubscriber;
+
     beforeEach(async () => {
         await models.sequelize.sync({ force: true, logging: false});
         storage = new Storage(models);
-    })
+        sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        eventStream = await storage.findEventStreamByPathOrCreate('events');
+        mockNode = null;
+        otherMockNode = null;
+        otherSubscriber = null;
+    });
+
+    afterEach(async () => {
+        subscriber.stop();
+        if (otherSubscriber) {
+            otherSubscriber.stop();
+        }
+        for (let node of [mockNode, otherMockNode]) {
+            if (node) {
+                await new Promise(resolve => node.server.close(resolve));
+            }
+        }
+    });
+
+    const startSubscriber = (options = {}) => {
+        subscriber = new EventStreamSubscriber(storage, sourceNode, eventStream, {
+            port,
+            reconnectMinDelay: 10,
+            reconnectMaxDelay: 50,
+            stallTimeout: 1000,
+            ingestion: { maxParallelism: 1 },
+            ...options,
+        });
+
+        return subscriber.start();
+    };
+
+    it('Should reconnect and resume from the stored event id when the node drops the connection', async () => {
+        mockNode = createMockNode((req, res, connectionNumber) => {
+            // 1st and 3rd connections are the version prefetch requests
+            if (connectionNumber === 2) {
+                res.write('data:{"DeployAccepted":{"hash":"deploy1"}}\nid:1\n\n');
+                res.write('data:{"DeployAccepted":{"hash":"deploy2"}}\nid:2\n\n');
+                setTimeout(() => res.destroy(), 50);
+            }
+        });
+        await new Promise(resolve => mockNode.server.listen(port, resolve));
+
+        const running = startSubscriber();
+        await waitFor(() => mockNode.connections.length >= 4);
+        subscriber.stop();
+        await running;
+
+        assert.strictEqual(mockNode.connections[0], '/events');
+        assert.strictEqual(mockNode.connections[1], '/events?start_from=0');
+        assert.strictEqual(mockNode.connections[2], '/events');
+        assert.strictEqual(mockNode.connections[3], '/events?start_from=3');
+
+        const lastEventId = await storage.getLastEventId(sourceNode.id, 1, eventStream.id);
+        assert.strictEqual(parseInt(lastEventId.id), 2);
+    });
+
+    it('Should skip an event, that fails every time, and keep storing the following ones', async () => {
+        mockNode = createMockNode((req, res) => {
+            if (req.url === '/events?start_from=0') {
+                res.write('data:{"DeployAccepted":{"hash":"deploy1"}}\nid:1\n\n');
+                // Fails to be stored, as the block is missing
+                res.write('data:{"BlockAdded":{"block_hash":"block1"}}\nid:2\n\n');
+                res.write('data:{"DeployAccepted":{"hash":"deploy3"}}\nid:3\n\n');
+            }
+        });
+        await new Promise(resolve => mockNode.server.listen(port, resolve));
+
+        const running = startSubscriber({ eventRetryDelay: 10 });
+        await waitFor(async () => {
+            const lastEventId = await storage.getLastEventId(sourceNode.id, 1, eventStream.id);
+            return lastEventId !== null && parseInt(lastEventId.id) === 3;
+        });
+        subscriber.stop();
+        await running;
+
+        assert.strictEqual(mockNode.connections.length, 2);
+        assert.isNotNull(await models.RawDeployAcceptedEvent.findByPk('deploy1'));
+        assert.isNotNull(await models.RawDeployAcceptedEvent.findByPk('deploy3'));
+
+        const failedEvents = await models.FailedEvent.findAll();
+        assert.strictEqual(failedEvents.length, 1);
+        assert.strictEqual(parseInt(failedEvents[0].eventId), 2);
+        assert.strictEqual(failedEvents[0].eventType, 'BlockAdded');
+        assert.strictEqual(failedEvents[0].jsonBody, '{"BlockAdded":{"block_hash":"block1"}}');
+        assert.include(failedEvents[0].error, 'TypeError');
+    });
+
+    it('Should reconnect when the stream stalls', async () => {
+        mockNode = createMockNode(() => {
+            // Keep the connection open without sending data or keepalives
+        });
+        await new Promise(resolve => mockNode.server.listen(port, resolve));
+
+        const running = startSubscriber({ stallTimeout: 100 });
+        await waitFor(() => mockNode.connections.length >= 4);
+        subscriber.stop();
+        await running;
+
+        assert.strictEqual(mockNode.connections[1], '/events?start_from=0');
+        assert.strictEqual(mockNode.connections[3], '/events?start_from=0');
+    });
+
+    it('Should follow several nodes at once and store every deploy only once', async () => {
+        const deployProcessed = (hash, id) => 'data:' + JSON.stringify({
+            DeployProcessed: {
+                deploy_hash: hash,
+                block_hash: 'block1',
+                account: 'account1',
+                timestamp: '2021-03-01T00:00:00.000Z',
+                execution_result: { Failure: { error_message: 'User error', cost: '100' } },
+            },
+        }) + `\nid:${id}\n\n`;
+
+        // The 1st node sends two deploys and drops, the 2nd one keeps streaming
+        mockNode = createMockNode((req, res) => {
+            if (req.url === '/events?start_from=0') {
+                res.write(deployProcessed('deploy1', 1));
+                res.write(deployProcessed('deploy2', 2));
+                setTimeout(() => res.destroy(), 50);
+            }
+        });
+        otherMockNode = createMockNode((req, res) => {
+            if (req.url === '/events?start_from=0') {
+                res.write(deployProcessed('deploy1', 11));
+                res.write(deployProcessed('deploy2', 12));
+                res.write(deployProcessed('deploy3', 13));
+            }
+        });
+        await new Promise(resolve => mockNode.server.listen(port, resolve));
+        await new Promise(resolve => otherMockNode.server.listen(port - 1, resolve));
+
+        const otherSourceNode = await storage.findSourceNodeByAddressOrCreate('127.0.0.1');
+        otherSubscriber = new EventStreamSubscriber(storage, otherSourceNode, eventStream, {
+            port: port - 1,
+            reconnectMinDelay: 10,
+            reconnectMaxDelay: 50,
+        });
+
+        const running = Promise.all([startSubscriber(), otherSubscriber.start()]);
+
+        // Each node keeps its own checkpoint
+        const getCheckpoint = async (node) => {
+            const eventId = await storage.getLastEventId(node.id, 1, eventStream.id);
+            return eventId ? parseInt(eventId.id) : null;
+        };
+        await waitFor(async () => await getCheckpoint(sourceNode) === 2 && await getCheckpoint(otherSourceNode) === 13);
+
+        subscriber.stop();
+        otherSubscriber.stop();
+        await running;
+
+        assert.strictEqual(await models.Deploy.count(), 3);
+        assert.strictEqual(await models.RawDeployProcessedEvent.count(), 3);
+    });
+
+    it('Should follow several event streams of a node, each with its own checkpoint', async () => {
+        mockNode = createMockNode((req, res) => {
+            if (req.url === '/events/main?start_from=0') {
+                res.write('data:' + JSON.stringify({
+                    DeployProcessed: {
+                        deploy_hash: 'deploy1',
+                        block_hash: 'block1',
+                        account: 'account1',
+                        timestamp: '2021-03-01T00:00:00.000Z',
+                        execution_result: { Failure: { error_message: 'User error', cost: '100' } },
+                    },
+                }) + '\nid:7\n\n');
+            } else if (req.url === '/events/sigs?start_from=0') {
+                res.write('data:' + JSON.stringify({
+                    FinalitySignature: {
+                        block_hash: 'block1',
+                        era_id: 1,
+                        signature: 'signature1',
+                        public_key: 'validator1',
+                    },
+                }) + '\nid:3\n\n');
+            }
+        });
+        await new Promise(resolve => mockNode.server.listen(port, resolve));
+
+        eventStream = await storage.findEventStreamByPathOrCreate('events/main');
+        const sigsEventStream = await storage.findEventStreamByPathOrCreate('events/sigs');
+        otherSubscriber = new EventStreamSubscriber(storage, sourceNode, sigsEventStream, {
+            port,
+            reconnectMinDelay: 10,
+            reconnectMaxDelay: 50,
+        });
+
+        const running = Promise.all([startSubscriber(), otherSubscriber.start()]);
+
+        const getCheckpoint = async (stream) => {
+            const eventId = await storage.getLastEventId(sourceNode.id, 1, stream.id);
+            return eventId ? parseInt(eventId.id) : null;
+        };
+        await waitFor(async () => await getCheckpoint(eventStream) === 7 && await getCheckpoint(sigsEventStream) === 3);
+
+        subscriber.stop();
+        otherSubscriber.stop();
+        await running;
+
+        assert.strictEqual(await models.Deploy.count(), 1);
+        assert.strictEqual(await models.FinalitySignature.count(), 1);
+    });
 
-    it('TODO: Should handle stream connection drop', async () => {
+    it('Should back off exponentially with jitter up to the maximum delay', async () => {
+        subscriber = new EventStreamSubscriber(storage, sourceNode, eventStream, {
+            reconnectMinDelay: 1000,
+            reconnectMaxDelay: 8000,
+        });
 
-        // const ssh = cp.spawn('ssh', [
-        //     // Operate in the background & Don't execute commands on the remote host
-        //     '-fN',
-        //     // Local to Remote tunnel
-        //     '-L', '',
-        //     // Remote to Local tunnel
-        //     '-R', '',
-        // ])
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const step = Math.min(8000, 1000 * Math.pow(2, attempt));
+            const delay = subscriber.getReconnectDelay(attempt);
 
-        assert.strictEqual(1,1);
+            assert.isAtLeast(delay, step / 2);
+            assert.isAtMost(delay, step);
+        }
     });
-})
\ No newline at end of file
+})
@@ -0,0 +1,85 @@
+var chai = require('chai');
+var chaiHttp = require('chai-http');
+var assert = chai.assert;
+var models = require('../src/models/index');
+const Storage = require('../src/storage');
+const GapDetector = require('../src/gapDetector');
+const httpServer = require('../src/httpServer');
+const { blockHash, createBlockAddedEvent } = require('./mockData');
+chai.use(chaiHttp);
+
+describe('GapDetector', async () => {
+    let storage;
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        for (let height of [2, 3, 6, 7, 8, 10]) {
+            await storage.onBlockAddedEvent(createBlockAddedEvent({
+                height,
+                parentHash: height === 8 ? 'forked_parent_hash' : blockHash(height - 1),
+            }), apiVersion);
+        }
+    });
+
+    it('Should find the missing heights and the broken parent hash links', async () => {
+        const result = await new GapDetector(storage).scan();
+
+        assert.deepEqual(result, {
+            gaps: [
+                { fromHeight: 4, toHeight: 5 },
+                { fromHeight: 9, toHeight: 9 },
+            ],
+            missingBlockCount: 3,
+            brokenParentHashLinks: [8],
+        });
+    });
+
+    it('Should count the heights below the lowest stored block only when asked to', async () => {
+        const result = await new GapDetector(storage, null, { fromGenesis: true }).scan();
+
+        assert.deepEqual(result.gaps[0], { fromHeight: 0, toHeight: 1 });
+        assert.strictEqual(result.missingBlockCount, 5);
+    });
+
+    it('Should refetch the missing heights when started with a backfill', async () => {
+        const refetched = [];
+        const backfill = {
+            run: async (fromHeight, toHeight) => refetched.push([fromHeight, toHeight]),
+        };
+
+        await new GapDetector(storage, backfill).check();
+
+        assert.deepEqual(refetched, [[4, 5], [9, 9]]);
+    });
+
+    it('Should expose the result of the latest check at /status/gaps', async () => {
+        const app = httpServer(models);
+        let response = await chai.request(app).get('/status/gaps');
+        assert.strictEqual(response.statusCode, 404);
+
+        await new GapDetector(storage).check();
+
+        response = await chai.request(app).get('/status/gaps');
+        assert.strictEqual(response.statusCode, 200);
+        assert.isString(response.body.data.scannedAt);
+        assert.strictEqual(response.body.data.missingBlockCount, 3);
+        assert.deepEqual(response.body.data.brokenParentHashLinks, [8]);
+    });
+
+    it('Should check right away when started, not only after the first interval', async () => {
+        const gapDetector = new GapDetector(storage, null, { interval: 600000 });
+        gapDetector.start();
+        try {
+            await gapDetector.checking;
+        } finally {
+            gapDetector.stop();
+        }
+
+        const response = await chai.request(httpServer(models)).get('/status/gaps');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.missingBlockCount, 3);
+    });
+});
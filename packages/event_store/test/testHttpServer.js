@@ -1,8 +1,10 @@
 var chai = require('chai');
 var chaiHttp = require('chai-http');
 var assert = chai.assert;
+const http = require('http');
 var models = require('../src/models/index');
 const Storage = require('../src/storage');
+const CasperClient = require('../src/casperClient');
 const httpServer = require('../src/httpServer');
 chai.use(chaiHttp);
 
@@ -199,3 +201,1033 @@ describe('HttpServer', async () => {
         assert.strictEqual(response.statusCode, 404);
     })
 });
+
+describe('HttpServer - node events', async () => {
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        for (let event of [data.faultEvent1, data.faultEvent2, data.faultEvent3, data.deployExpiredEvent1, data.shutdownEvent]) {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(event));
+        }
+        app = httpServer(models);
+    });
+
+    it('Should list the faults, filtered by era', async () => {
+        let response = await chai.request(app).get('/faults');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 3);
+
+        response = await chai.request(app).get('/faults?eraId=164');
+        assert.strictEqual(response.body.itemCount, 2);
+        assert.deepEqual(response.body.data.map(fault => fault.publicKey).sort(), [
+            data.faultEvent3.Fault.public_key,
+            data.faultEvent2.Fault.public_key,
+        ]);
+    });
+
+    it('Should list the faults of a validator', async () => {
+        const publicKey = data.faultEvent1.Fault.public_key;
+        const response = await chai.request(app).get(`/validators/${publicKey}/faults`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data, [
+            { eraId: 164, publicKey, timestamp: data.faultEvent2.Fault.timestamp },
+            { eraId: 163, publicKey, timestamp: data.faultEvent1.Fault.timestamp },
+        ]);
+    });
+
+    it('Should respond with the expired deploy or 404', async () => {
+        const deployHash = data.deployExpiredEvent1.DeployExpired.deploy_hash;
+        let response = await chai.request(app).get(`/expired-deploys/${deployHash}`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.deployHash, deployHash);
+
+        response = await chai.request(app).get('/expired-deploys');
+        assert.strictEqual(response.body.itemCount, 1);
+
+        response = await chai.request(app).get('/expired-deploys/unknown');
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should list the node lifecycle events', async () => {
+        const response = await chai.request(app).get('/node-lifecycle-events');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 1);
+        assert.strictEqual(response.body.data[0].eventType, 'Shutdown');
+    });
+});
+
+describe('HttpServer - deploy lifecycle', async () => {
+    const pendingDeployHash = 'deploy5_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3';
+    const timedOutDeployHash = 'deploy6_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3';
+
+    const deployAcceptedEvent = (hash, timestamp) => ({
+        DeployAccepted: {
+            ...data.deployAcceptedEvent1.DeployAccepted,
+            hash,
+            header: { ...data.deployAcceptedEvent1.DeployAccepted.header, timestamp },
+        }
+    });
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        const events = [
+            data.deployAcceptedEvent1,
+            { DeployProcessed: data.deployProcessedEvent1 },
+            deployAcceptedEvent(pendingDeployHash, new Date().toISOString()),
+            deployAcceptedEvent(timedOutDeployHash, new Date(Date.now() - 3600000).toISOString()),
+            data.deployExpiredEvent1,
+        ];
+        for (let event of events) {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(event));
+        }
+        app = httpServer(models);
+    });
+
+    it('Should list only the deploys waiting for inclusion', async () => {
+        const response = await chai.request(app).get('/deploys/pending');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 1);
+        assert.strictEqual(response.body.data[0].deployHash, pendingDeployHash);
+        assert.strictEqual(response.body.data[0].ttl, '30m');
+        assert.strictEqual(response.body.data[0].chainName, 'casper-test');
+        assert.deepEqual(response.body.data[0].dependencies, []);
+    });
+
+    it('Should filter the deploys by the session', async () => {
+        let response = await chai.request(app).get('/deploys?sessionType=Transfer');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 1);
+        assert.strictEqual(response.body.data[0].deployHash, data.deployProcessedEvent1.deploy_hash);
+        assert.isNull(response.body.data[0].entryPoint);
+
+        response = await chai.request(app).get('/deploys?entryPoint=delegate');
+        assert.strictEqual(response.body.itemCount, 0);
+
+        response = await chai.request(app).get('/deploys?type=native_transfer');
+        assert.strictEqual(response.body.itemCount, 1);
+        assert.strictEqual(response.body.data[0].type, 'native_transfer');
+    });
+
+    it('Should respond with the status of the deploy', async () => {
+        let response = await chai.request(app).get(`/deploys/${pendingDeployHash}/status`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.status, 'accepted');
+        assert.isNull(response.body.data.executionResult);
+        assert.strictEqual(response.body.data.header.bodyHash, data.deployAcceptedEvent1.DeployAccepted.header.body_hash);
+
+        response = await chai.request(app).get(`/deploys/${data.deployProcessedEvent1.deploy_hash}/status`);
+        assert.strictEqual(response.body.data.status, 'processed');
+        assert.strictEqual(response.body.data.executionResult, 'success');
+        assert.strictEqual(response.body.data.blockHash, data.deployProcessedEvent1.block_hash);
+        assert.strictEqual(response.body.data.expiresAt, '2020-10-08T12:40:00.000Z');
+
+        response = await chai.request(app).get(`/deploys/${timedOutDeployHash}/status`);
+        assert.strictEqual(response.body.data.status, 'expired');
+        assert.isNull(response.body.data.expiredAt);
+
+        response = await chai.request(app).get(`/deploys/${data.deployExpiredEvent1.DeployExpired.deploy_hash}/status`);
+        assert.strictEqual(response.body.data.status, 'expired');
+        assert.isNull(response.body.data.header);
+
+        response = await chai.request(app).get('/deploys/unknown/status');
+        assert.strictEqual(response.statusCode, 404);
+    });
+});
+
+describe('HttpServer - block finality', async () => {
+    const { blockHash } = data;
+
+    const signatures = {
+        1: ['01aa', '01bb'],
+        2: ['01cc', '01dd'],
+    };
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+
+        for (let [publicKeyHex, weight] of [['01aa', '4000'], ['01bb', '3000'], ['01cc', '3000']]) {
+            await models.EraValidator.create({ eraId: 5, publicKeyHex, weight });
+        }
+
+        for (let height of [1, 2, 3]) {
+            await storage.onBlockAddedEvent(data.createBlockAddedEvent({ height: height, eraId: 5 }), apiVersion);
+
+            for (let publicKey of signatures[height] || []) {
+                await storage.onFinalitySignatureEvent({
+                    block_hash: blockHash(height),
+                    era_id: 5,
+                    signature: `${publicKey}_signature_of_block${height}`,
+                    public_key: publicKey,
+                });
+            }
+        }
+
+        app = httpServer(models);
+    });
+
+    it('Should respond with the signers and the signed weight of the block', async () => {
+        let response = await chai.request(app).get(`/blocks/${blockHash(1)}/finality`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data, {
+            blockHash: blockHash(1),
+            blockHeight: 1,
+            eraId: 5,
+            signers: [
+                { publicKey: '01aa', weight: '4000' },
+                { publicKey: '01bb', weight: '3000' },
+            ],
+            signedWeight: '7000',
+            totalWeight: '10000',
+            signedWeightPercentage: 70,
+            thresholdPercentage: 33.33,
+            thresholdReached: true,
+        });
+
+        response = await chai.request(app).get(`/blocks/${blockHash(2)}/finality`);
+        assert.strictEqual(response.body.data.signedWeight, '3000');
+        assert.deepEqual(response.body.data.signers[1], { publicKey: '01dd', weight: '0' });
+        assert.isFalse(response.body.data.thresholdReached);
+
+        response = await chai.request(app).get('/blocks/unknown/finality');
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should list the blocks below the finality threshold', async () => {
+        const response = await chai.request(app).get('/blocks/below-finality-threshold');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 2);
+        assert.deepEqual(response.body.data.map(block => block.blockHeight), [3, 2]);
+        assert.strictEqual(Number(response.body.data[1].signedWeight), 3000);
+        assert.strictEqual(Number(response.body.data[1].totalWeight), 10000);
+    });
+
+    it('Should add up the signed weight of the block once per signer', async () => {
+        await storage.onFinalitySignatureEvent({
+            block_hash: blockHash(2),
+            era_id: 5,
+            signature: '01cc_another_signature_of_block2',
+            public_key: '01cc',
+        });
+
+        const signedWeights = await models.BlockSignedWeight.findAll({ order: [['blockHash', 'ASC']] });
+        assert.deepEqual(signedWeights.map(signedWeight => [signedWeight.blockHash, Number(signedWeight.signedWeight)]), [
+            [blockHash(1), 7000],
+            [blockHash(2), 3000],
+        ]);
+    });
+
+    it('Should only list the blocks of the window from the first signed block on', async () => {
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        await storage.onBlockAddedEvent(data.createBlockAddedEvent({ height: 0, eraId: 5 }), apiVersion);
+
+        let blocks = await storage.findBlocksBelowFinalityThreshold([1, 3], 10000, 10, 0);
+        assert.deepEqual(blocks.rows.map(block => block.blockHeight), [3, 2]);
+
+        blocks = await storage.findBlocksBelowFinalityThreshold([1, 3], 2, 10, 0);
+        assert.deepEqual(blocks.rows.map(block => block.blockHeight), [3, 2]);
+
+        blocks = await storage.findBlocksBelowFinalityThreshold([1, 3], 1, 10, 0);
+        assert.strictEqual(blocks.count, 0);
+    });
+});
+
+describe('HttpServer - contracts', async () => {
+    const account = '01bb9a2ab7b2ebf52d3c7a0ba1e6fd1bd5f2a69c9d3fc1c5da7c5b7b01b3b6b7c2';
+    const packageHash = '8cf5e4acf51f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401';
+    const contractHash = (version) => `contract${version}_f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401`;
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+
+        // Installed by a 1.x node without the payloads, upgraded by a node including them
+        const events = [
+            data.createDeployProcessedEvent({ deployHash: 'install', account, timestamp: '2021-04-01T10:00:00.000Z', transforms: [
+                { key: 'hash-wasm1_f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401', transform: 'WriteContractWasm' },
+                { key: `hash-${contractHash(1)}`, transform: 'WriteContract' },
+                { key: `hash-${packageHash}`, transform: 'WriteContractPackage' },
+            ] }),
+            data.createDeployProcessedEvent({ deployHash: 'upgrade', account, timestamp: '2021-04-02T10:00:00.000Z', transforms: [
+                {
+                    key: `hash-${contractHash(2)}`,
+                    transform: {
+                        WriteContract: {
+                            contract_package_hash: `contract-package-wasm${packageHash}`,
+                            contract_wasm_hash: 'contract-wasm-wasm2_f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401',
+                            named_keys: [],
+                            entry_points: [{ name: 'transfer', args: [], ret: 'Unit', access: 'Public', entry_point_type: 'Contract' }],
+                            protocol_version: '1.0.0',
+                        },
+                    },
+                },
+                {
+                    key: `hash-${packageHash}`,
+                    transform: {
+                        WriteContractPackage: {
+                            access_key: 'uref-f8f32523da86b93b40adee95a05c8b7229887e0d345641a914b1c09d5052563b-007',
+                            versions: [
+                                { protocol_version_major: 1, contract_version: 1, contract_hash: `contract-${contractHash(1)}` },
+                                { protocol_version_major: 1, contract_version: 2, contract_hash: `contract-${contractHash(2)}` },
+                            ],
+                            disabled_versions: [{ protocol_version_major: 1, contract_version: 1 }],
+                            groups: [],
+                        },
+                    },
+                },
+            ] }),
+        ];
+        for (let event of events) {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployProcessed: event }));
+        }
+        app = httpServer(models);
+    });
+
+    it('Should list the contracts of the deployer', async () => {
+        let response = await chai.request(app).get('/contracts');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 2);
+
+        response = await chai.request(app).get(`/accounts/${account}/contracts`);
+        assert.deepEqual(response.body.data.map(contract => contract.deployHash), ['upgrade', 'install']);
+    });
+
+    it('Should respond with the contract or 404', async () => {
+        let response = await chai.request(app).get(`/contracts/hash-${contractHash(1)}`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.contractPackageHash, packageHash);
+        assert.strictEqual(response.body.data.contractWasmHash, 'wasm1_f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401');
+        assert.strictEqual(response.body.data.version, 1);
+        assert.isNull(response.body.data.entryPoints);
+
+        response = await chai.request(app).get(`/contracts/${contractHash(2)}`);
+        assert.strictEqual(response.body.data.entryPoints[0].name, 'transfer');
+
+        response = await chai.request(app).get('/contracts/unknown');
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should respond with the version history of the package', async () => {
+        let response = await chai.request(app).get(`/contract-packages/${packageHash}/versions`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.deployHash, 'install');
+        assert.deepEqual(response.body.data.disabledVersions, [1]);
+        assert.deepEqual(
+            response.body.data.versions.map(version => [version.version, version.contractHash, version.disabled]),
+            [[1, contractHash(1), true], [2, contractHash(2), false]]
+        );
+
+        response = await chai.request(app).get('/contract-packages/unknown/versions');
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should number the versions by the install order when the deploys are stored out of order', async () => {
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+
+        for (let [deployHash, timestamp, version] of [['upgrade4', '2021-04-04T10:00:00.000Z', 4], ['upgrade3', '2021-04-03T10:00:00.000Z', 3]]) {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({
+                DeployProcessed: data.createDeployProcessedEvent({ deployHash, account, timestamp, transforms: [
+                    { key: `hash-${contractHash(version)}`, transform: 'WriteContract' },
+                    { key: `hash-${packageHash}`, transform: 'WriteContractPackage' },
+                ] }),
+            }));
+        }
+
+        const response = await chai.request(app).get(`/contract-packages/${packageHash}/versions`);
+        assert.deepEqual(
+            response.body.data.versions.map(version => [version.version, version.contractHash]),
+            [1, 2, 3, 4].map(version => [version, contractHash(version)])
+        );
+    });
+});
+
+describe('HttpServer - account balance', async () => {
+    const accountHash = '8338671be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef';
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        // The ledger opens with the genesis balances
+        await models.GenesisAccount.create({ publicKey: '01genesis', accountHash, type: 'account', balance: '2000000000' });
+        await storage.onBlockAddedEvent(data.genesisBlockAddedEvent.BlockAdded, await storage.findApiVersionByVersionOrCreate('1.0.0'));
+
+        await storage.onDeployProcessedEvent({ ...data.deployProcessedEvent1, timestamp: '2021-04-01T10:00:00.000Z' });
+        await storage.onDeployProcessedEvent({ ...data.deployProcessedEvent2, timestamp: '2021-04-03T10:00:00.000Z' });
+
+        app = httpServer(models);
+    });
+
+    it('Should respond with the balance of the account', async () => {
+        const response = await chai.request(app).get(`/accounts/${accountHash}/balance`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data, {
+            liquid: '960000000',
+            staked: '0',
+            unbonding: '0',
+            total: '960000000',
+        });
+    });
+
+    it('Should respond with 404 when the ledger does not start from the genesis block', async () => {
+        await models.Block.destroy({ where: { blockHeight: 0 } });
+
+        let response = await chai.request(app).get(`/accounts/${accountHash}/balance`);
+        assert.strictEqual(response.statusCode, 404);
+
+        response = await chai.request(app).get(`/accounts/${accountHash}/balance-history`);
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should respond with the balance at the end of each interval', async () => {
+        let response = await chai.request(app)
+            .get(`/accounts/${accountHash}/balance-history?from=2021-04-01T00:00:00.000Z&to=2021-04-04T00:00:00.000Z&interval=day`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data.map(point => [point.from, point.liquid]), [
+            ['2021-04-01T00:00:00.000Z', '1000000000'],
+            ['2021-04-02T00:00:00.000Z', '1000000000'],
+            ['2021-04-03T00:00:00.000Z', '960000000'],
+        ]);
+
+        response = await chai.request(app).get(`/accounts/${accountHash}/balance-history?interval=month`);
+        assert.strictEqual(response.statusCode, 400);
+
+        response = await chai.request(app).get(`/accounts/${accountHash}/balance-history?from=2000-01-01&interval=hour`);
+        assert.strictEqual(response.statusCode, 400);
+    });
+});
+
+describe('HttpServer - account identifiers', async () => {
+    const publicKey = data.deployProcessedEvent1.account;
+    const accountHash = '5b04d7632e8ac2d9f8d6595249a6cda142ee60a77a1e00dea091584b9a14fff8';
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        await models.GenesisAccount.create({ publicKey, accountHash, type: 'account', balance: '100000000000' });
+        await storage.onBlockAddedEvent(data.genesisBlockAddedEvent.BlockAdded, await storage.findApiVersionByVersionOrCreate('1.0.0'));
+
+        await storage.onDeployProcessedEvent(data.deployProcessedEvent1);
+        await storage.onDeployProcessedEvent(data.deployProcessedEvent2);
+
+        app = httpServer(models);
+    });
+
+    it('Should accept the public key or the account hash of the account', async () => {
+        let response = await chai.request(app).get(`/accounts/${accountHash}`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data, { accountHash, publicKey });
+
+        for (let id of [publicKey, accountHash, `account-hash-${accountHash}`]) {
+            response = await chai.request(app).get(`/accounts/${id}/deploys`);
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(response.body.itemCount, 2);
+
+            response = await chai.request(app).get(`/accounts/${id}/balance`);
+            assert.strictEqual(response.body.data.liquid, '99999999977');
+        }
+
+        response = await chai.request(app).get('/accounts/account-hash-8338671be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef/transfers');
+        assert.strictEqual(response.body.itemCount, 2);
+    });
+
+    it('Should reject unknown accounts and invalid identifiers', async () => {
+        const unknownAccountHash = 'bbbbbb1be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef';
+
+        let response = await chai.request(app).get(`/accounts/${unknownAccountHash}`);
+        assert.strictEqual(response.statusCode, 404);
+
+        response = await chai.request(app).get(`/accounts/${unknownAccountHash}/deploys`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 0);
+
+        response = await chai.request(app).get('/accounts/01bb/deploys');
+        assert.strictEqual(response.statusCode, 400);
+    });
+});
+
+describe('HttpServer - delegations', async () => {
+    const validator = '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606';
+    const delegatorA = '010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932';
+    const delegatorB = '01bb9a2ab7b2ebf52d3c7a0ba1e6fd1bd5f2a69c9d3fc1c5da7c5b7b01b3b6b7c2';
+
+    const bidDeploy = (deployHash, timestamp, stakes) => {
+        const delegators = {};
+        for (let publicKey in stakes) {
+            delegators[publicKey] = {
+                delegator_public_key: publicKey,
+                staked_amount: stakes[publicKey],
+                bonding_purse: `uref-${publicKey.substring(2, 10)}-007`,
+                validator_public_key: validator,
+                vesting_schedule: null,
+            };
+        }
+
+        return data.createDeployProcessedEvent({ deployHash, account: delegatorA, timestamp, transforms: [{
+            key: 'bid-2a1f98a5b8074cdbbd46847766b29486fff48e186c65bb12a2dc6bab5190caf8',
+            transform: {
+                WriteBid: {
+                    validator_public_key: validator,
+                    bonding_purse: 'uref-bonding-purse',
+                    staked_amount: '5000000000',
+                    delegation_rate: 10,
+                    inactive: false,
+                    vesting_schedule: null,
+                    delegators,
+                },
+            },
+        }] });
+    };
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        await storage.onDeployProcessedEvent(bidDeploy('delegate', '2021-04-01T10:00:00.000Z', { [delegatorA]: '100', [delegatorB]: '200' }));
+        await storage.onDeployProcessedEvent(bidDeploy('undelegate', '2021-04-02T10:00:00.000Z', { [delegatorA]: '150' }));
+        // Processed late, the delegations it would change were changed by a later deploy already
+        await storage.onDeployProcessedEvent(bidDeploy('late', '2021-03-31T10:00:00.000Z', { [delegatorA]: '50', [delegatorB]: '200' }));
+
+        app = httpServer(models);
+    });
+
+    it('Should list the current delegators of the validator and the delegations of the delegator', async () => {
+        let response = await chai.request(app).get(`/validators/${validator}/delegators`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data.map(delegation => [delegation.delegatorPublicKey, String(delegation.stakedAmount)]), [
+            [delegatorA, '150'],
+        ]);
+
+        response = await chai.request(app).get(`/delegators/${delegatorA}/delegations`);
+        assert.strictEqual(response.body.itemCount, 1);
+        assert.strictEqual(response.body.data[0].deployHash, 'undelegate');
+
+        response = await chai.request(app).get(`/delegators/${delegatorB}/delegations`);
+        assert.strictEqual(response.body.itemCount, 0);
+    });
+
+    it('Should list the changes of the delegations', async () => {
+        const response = await chai.request(app).get(`/delegators/${delegatorB}/delegations/history`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data.map(change => [change.deployHash, String(change.previousStakedAmount), String(change.stakedAmount)]), [
+            ['undelegate', '200', '0'],
+            ['delegate', '0', '200'],
+        ]);
+    });
+
+    it('Should apply the bid once when locking the delegations ran into a deadlock', async () => {
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        const eventStream = await storage.findEventStreamByPathOrCreate('events');
+
+        // The lock of the 1st attempt is picked as the deadlock victim
+        const findAll = models.Delegation.findAll;
+        let locks = 0;
+        models.Delegation.findAll = function (options) {
+            if (options && options.lock && ++locks === 1) {
+                const deadlock = new Error('Deadlock found when trying to get lock; try restarting transaction');
+                deadlock.code = 'ER_LOCK_DEADLOCK';
+                return Promise.reject(new models.Sequelize.DatabaseError(deadlock));
+            }
+
+            return findAll.apply(this, arguments);
+        };
+
+        try {
+            const event = bidDeploy('redelegate', '2021-04-03T10:00:00.000Z', { [delegatorA]: '150', [delegatorB]: '25' });
+            await storage.onStreamEvent(sourceNode.id, apiVersion, eventStream.id, JSON.stringify({ DeployProcessed: event }), () => 1);
+        } finally {
+            models.Delegation.findAll = findAll;
+        }
+
+        assert.strictEqual(locks, 2);
+        const response = await chai.request(app).get(`/delegators/${delegatorB}/delegations/history`);
+        assert.deepEqual(response.body.data.map(change => [change.deployHash, String(change.previousStakedAmount), String(change.stakedAmount)]), [
+            ['redelegate', '0', '25'],
+            ['undelegate', '200', '0'],
+            ['delegate', '0', '200'],
+        ]);
+    });
+});
+
+describe('HttpServer - unbonding', async () => {
+    const validator = '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606';
+    const unbonder = '010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932';
+
+    const withdrawDeploy = (deployHash, timestamp, withdrawals) => data.createDeployProcessedEvent({ deployHash, account: unbonder, timestamp, transforms: [{
+        key: 'withdraw-5b04d7632e8ac2d9f8d6595249a6cda142ee60a77a1e00dea091584b9a14fff8',
+        transform: {
+            WriteWithdraw: withdrawals.map(([eraOfCreation, amount]) => ({
+                bonding_purse: 'uref-b29f1b1eb735076b9adf3f2755466b2b4de9d8110e3a0cc90996ee6fdc402802-007',
+                validator_public_key: validator,
+                unbonder_public_key: unbonder,
+                era_of_creation: eraOfCreation,
+                amount,
+            })),
+        },
+    }] });
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        await models.Block.create({ blockHash: 'block1', blockHeight: 1, eraId: 10 });
+        await storage.onDeployProcessedEvent(withdrawDeploy('undelegate1', '2021-04-01T10:00:00.000Z', [[2, '100'], [5, '50'], [5, '50']]));
+        // The unbonding of era 2 has been paid out already, the pending ones are listed again
+        await storage.onDeployProcessedEvent(withdrawDeploy('undelegate2', '2021-04-02T10:00:00.000Z', [[5, '50'], [5, '50'], [9, '30']]));
+
+        app = httpServer(models);
+    });
+
+    it('Should list the unbondings of the account with their release eras', async () => {
+        let response = await chai.request(app).get(`/accounts/${unbonder}/unbonding`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data.map(unbonding => [
+            unbonding.eraOfCreation,
+            String(unbonding.amount),
+            unbonding.sequence,
+            unbonding.deployHash,
+            unbonding.releaseEra,
+            unbonding.released,
+        ]), [
+            [9, '30', 1, 'undelegate2', 16, 0],
+            [5, '50', 1, 'undelegate1', 12, 0],
+            [5, '50', 2, 'undelegate1', 12, 0],
+            [2, '100', 1, 'undelegate1', 9, 1],
+        ]);
+
+        response = await chai.request(app).get(`/accounts/${unbonder}/unbonding?released=0`);
+        assert.strictEqual(response.body.itemCount, 3);
+    });
+
+    it('Should take the unbonding delay from the config, like the Event Handler', async () => {
+        const config = require('../config/eh-config.json')[process.env.NODE_ENV || 'development'];
+        const unbondingDelay = config.EH_UNBONDING_DELAY;
+        config.EH_UNBONDING_DELAY = 3;
+        try {
+            app = httpServer(models);
+        } finally {
+            config.EH_UNBONDING_DELAY = unbondingDelay;
+        }
+
+        const response = await chai.request(app).get(`/accounts/${unbonder}/unbonding`);
+        assert.deepEqual(response.body.data.map(unbonding => [unbonding.eraOfCreation, unbonding.releaseEra, unbonding.released]), [
+            [9, 12, 0],
+            [5, 8, 1],
+            [5, 8, 1],
+            [2, 5, 1],
+        ]);
+    });
+
+    it('Should list the unbondings from the validator', async () => {
+        let response = await chai.request(app).get(`/validators/${validator}/unbonding?released=1`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data.map(unbonding => unbonding.eraOfCreation), [2]);
+
+        response = await chai.request(app).get(`/validators/${unbonder}/unbonding`);
+        assert.strictEqual(response.body.itemCount, 0);
+    });
+});
+
+describe('HttpServer - validator stats', async () => {
+    const validatorA = '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606';
+    const validatorB = '01bb9a2ab7b2ebf52d3c7a0ba1e6fd1bd5f2a69c9d3fc1c5da7c5b7b01b3b6b7c2';
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        // Era 3 hasn't ended yet
+        for (let id of [1, 2]) {
+            await models.Era.create({ id, endBlockHeight: id * 10 });
+        }
+
+        for (let [eraId, publicKeyHex, weight, wasActive, hasEquivocation] of [
+            [1, validatorA, '300', true, false],
+            [1, validatorB, '100', true, false],
+            [2, validatorA, '300', true, true],
+            [2, validatorB, '100', false, false],
+            [3, validatorA, '300', false, false],
+        ]) {
+            await models.EraValidator.create({ eraId, publicKeyHex, weight, rewards: 0, wasActive, hasEquivocation });
+        }
+
+        const proposers = [[1, validatorA], [1, validatorA], [1, validatorA], [1, validatorB], [2, validatorA], [2, validatorA], [2, validatorA], [2, validatorA], [3, validatorA]];
+        for (let [blockHeight, [eraId, proposer]] of proposers.entries()) {
+            await models.Block.create({ blockHash: `block${blockHeight}`, blockHeight, eraId, proposer });
+        }
+
+        await models.ValidatorReward.bulkCreate([
+            { eraId: 1, publicKey: validatorA, amount: '30' },
+            { eraId: 1, publicKey: validatorB, amount: '10' },
+            { eraId: 2, publicKey: validatorA, amount: '30' },
+        ]);
+        await models.DelegatorReward.create({ eraId: 1, publicKey: '010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932', validatorPublicKey: validatorA, amount: '6' });
+
+        app = httpServer(models);
+    });
+
+    it('Should respond with the performance of the validator over the ended eras', async () => {
+        let response = await chai.request(app).get(`/validators/${validatorA}/stats`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data, {
+            publicKey: validatorA,
+            eras: 2,
+            erasActive: 2,
+            erasInactive: 0,
+            equivocations: 1,
+            blocksProposed: 7,
+            expectedBlocks: 6,
+            proposalRatio: 7 / 6,
+            validatorRewards: '60',
+            delegatorRewards: '6',
+            totalRewards: '66',
+            rewardPerWeight: 0.11,
+        });
+
+        response = await chai.request(app).get(`/validators/${validatorA}/stats?fromEra=2`);
+        assert.strictEqual(response.body.data.blocksProposed, 4);
+        assert.strictEqual(response.body.data.totalRewards, '30');
+
+        response = await chai.request(app).get(`/validators/${validatorA}/stats?fromEra=3`);
+        assert.strictEqual(response.statusCode, 404);
+
+        response = await chai.request(app).get(`/validators/${validatorA}/stats?toEra=last`);
+        assert.strictEqual(response.statusCode, 400);
+    });
+
+    it('Should rank the validators by the selected metric', async () => {
+        let response = await chai.request(app).get('/validators');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 2);
+        assert.deepEqual(response.body.data.map(validator => validator.publicKey), [validatorA, validatorB]);
+        assert.strictEqual(response.body.data[1].proposalRatio, 0.5);
+
+        response = await chai.request(app).get('/validators?order_by=erasInactive');
+        assert.deepEqual(response.body.data.map(validator => validator.publicKey), [validatorB, validatorA]);
+
+        response = await chai.request(app).get('/validators?order_by=rewardPerWeight&order_direction=ASC');
+        assert.deepEqual(response.body.data.map(validator => [validator.publicKey, validator.rewardPerWeight]), [
+            [validatorB, 0.05],
+            [validatorA, 0.11],
+        ]);
+    });
+});
+
+describe('HttpServer - APY', async () => {
+    const validatorA = '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606';
+    const validatorB = '01bb9a2ab7b2ebf52d3c7a0ba1e6fd1bd5f2a69c9d3fc1c5da7c5b7b01b3b6b7c2';
+    const delegator = '010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932';
+
+    // Two eras of half a year each make a window of exactly a year
+    const start = new Date('2021-01-01T00:00:00.000Z').getTime();
+    const halfYear = 365.25 * 24 * 60 * 60 * 1000 / 2;
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        for (let id of [1, 2, 3]) {
+            await models.Era.create({ id, endBlockHeight: id * 10, endTimestamp: new Date(start + (id - 1) * halfYear) });
+        }
+
+        for (let [eraId, publicKeyHex] of [[2, validatorA], [2, validatorB], [3, validatorA], [3, validatorB]]) {
+            await models.EraValidator.create({ eraId, publicKeyHex, weight: '1000', rewards: 0, wasActive: true, hasEquivocation: false });
+        }
+
+        await models.ValidatorReward.bulkCreate([
+            { eraId: 2, publicKey: validatorA, amount: '80' },
+            { eraId: 2, publicKey: validatorB, amount: '50' },
+            { eraId: 3, publicKey: validatorA, amount: '156' },
+            { eraId: 3, publicKey: validatorB, amount: '50' },
+        ]);
+        await models.DelegatorReward.bulkCreate([
+            { eraId: 2, publicKey: delegator, validatorPublicKey: validatorA, amount: '20', timestamp: new Date(start + halfYear) },
+            { eraId: 3, publicKey: delegator, validatorPublicKey: validatorA, amount: '44', timestamp: new Date(start + 2 * halfYear) },
+        ]);
+
+        await models.Bid.create({
+            deployHash: 'deploy1',
+            key: 'bid-1',
+            validatorPublicKey: validatorA,
+            delegationRate: 10,
+            timestamp: new Date(start),
+        });
+        await models.DelegationHistory.create({
+            deployHash: 'deploy2',
+            validatorPublicKey: validatorA,
+            delegatorPublicKey: delegator,
+            stakedAmount: '200',
+            previousStakedAmount: '0',
+            timestamp: new Date(start - 1000),
+        });
+
+        app = httpServer(models);
+    });
+
+    it('Should respond with the network APY over the trailing eras', async () => {
+        let response = await chai.request(app).get('/network/apy');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.fromEra, 2);
+        assert.strictEqual(response.body.data.toEra, 3);
+        assert.deepEqual(response.body.data.eras.map(era => era.yield), [0.075, 0.125]);
+        assert.closeTo(response.body.data.apy, 1.075 * 1.125 - 1, 1e-9);
+
+        response = await chai.request(app).get('/network/apy?eras=1');
+        assert.strictEqual(response.body.data.fromEra, 3);
+        assert.closeTo(response.body.data.apy, 1.125 * 1.125 - 1, 1e-9);
+
+        response = await chai.request(app).get('/network/apy?eras=0');
+        assert.strictEqual(response.statusCode, 400);
+    });
+
+    it('Should respond with the validator APY net of the delegation rate', async () => {
+        let response = await chai.request(app).get(`/validators/${validatorA}/apy`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.data.delegationRate, 10);
+        assert.closeTo(response.body.data.apy, 1.1 * 1.2 - 1, 1e-9);
+        assert.closeTo(response.body.data.netApy, 1.09 * 1.18 - 1, 1e-9);
+        assert.isUndefined(response.body.data.delegator);
+
+        response = await chai.request(app).get(`/validators/${validatorB}/apy`);
+        assert.strictEqual(response.body.data.delegationRate, null);
+        assert.strictEqual(response.body.data.netApy, null);
+
+        response = await chai.request(app).get(`/validators/${delegator}/apy`);
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should respond with the APY of the delegator compounding its rewards', async () => {
+        const response = await chai.request(app).get(`/validators/${validatorA}/apy?delegator=${delegator}`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data.delegator.eras.map(era => [era.eraId, era.yield]), [[2, 0.1], [3, 0.2]]);
+        assert.closeTo(response.body.data.delegator.apy, 1.1 * 1.2 - 1, 1e-9);
+    });
+
+    it('Should sum the era rewards and weights above the safe integer range without rounding', async () => {
+        const validatorC = '0203b8cfc5fe2eebb8ba8df0a1c2bfe7b9b3f5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0';
+        await models.EraValidator.create({ eraId: 2, publicKeyHex: validatorC, weight: String(Number.MAX_SAFE_INTEGER), rewards: 0, wasActive: true, hasEquivocation: false });
+        await models.ValidatorReward.create({ eraId: 2, publicKey: validatorC, amount: String(Number.MAX_SAFE_INTEGER) });
+
+        const eras = await storage.getEraRewardsAndWeights([2, 3]);
+        assert.deepEqual(eras[2], { rewards: '9007199254741141', weight: '9007199254742991' });
+        assert.deepEqual(eras[3], { rewards: '250', weight: '2000' });
+
+        const response = await chai.request(app).get('/network/apy');
+        assert.strictEqual(response.body.data.eras[1].yield, 0.125);
+        assert.closeTo(response.body.data.eras[0].yield, 1 - 1850 / 9007199254742991, 1e-15);
+    });
+});
+
+describe('HttpServer - auction', async () => {
+    const rpcPort = 7779;
+    const validatorA = '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606';
+    const validatorB = '01bb9a2ab7b2ebf52d3c7a0ba1e6fd1bd5f2a69c9d3fc1c5da7c5b7b01b3b6b7c2';
+    const delegatorA = '010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932';
+    const delegatorB = '0202c436d422737f2470b92882ae6268cf4fb3547a8837fba778aea0bc42580a30a1';
+
+    let mockNode, rpcRequests;
+
+    // Local node serving the auction of the switch block
+    const auctionState = {
+        state_root_hash: 'cc1b4d3c56f26c63b0683b5d0eb7e165226a05c12e189739c8b477e633582f47',
+        block_height: 1803,
+        era_validators: [],
+        bids: [
+            {
+                public_key: validatorA,
+                bid: {
+                    bonding_purse: 'uref-a-007',
+                    staked_amount: '5000',
+                    delegation_rate: 10,
+                    inactive: false,
+                    delegators: [
+                        { public_key: delegatorA, staked_amount: '300', bonding_purse: 'uref-da-007', delegatee: validatorA },
+                        { public_key: delegatorB, staked_amount: '700', bonding_purse: 'uref-db-007', delegatee: validatorA },
+                    ],
+                },
+            },
+            {
+                public_key: validatorB,
+                bid: {
+                    bonding_purse: 'uref-b-007',
+                    staked_amount: '8000',
+                    delegation_rate: 5,
+                    inactive: true,
+                    delegators: [],
+                },
+            },
+        ],
+    };
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+
+        rpcRequests = [];
+        mockNode = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const { id, method, params } = JSON.parse(body);
+                rpcRequests.push([method, params.block_identifier]);
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(method === 'state_get_auction_info'
+                    ? { jsonrpc: '2.0', id, result: { auction_state: auctionState } }
+                    : { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } }
+                ));
+            });
+        });
+        await new Promise(resolve => mockNode.listen(rpcPort, resolve));
+
+        storage = new Storage(models, new CasperClient('localhost', rpcPort));
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(data.switchBlockAddedEvent1));
+
+        app = httpServer(models);
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => mockNode.close(resolve));
+    });
+
+    it('Should snapshot the bids of the auction at the switch block', async () => {
+        assert.deepInclude(rpcRequests, ['state_get_auction_info', { Height: 1803 }]);
+
+        const accounts = await models.Account.findAll();
+        assert.includeMembers(accounts.map(account => account.publicKey), [validatorB, delegatorA, delegatorB]);
+    });
+
+    it('Should respond with the validators of the latest auction, the largest stake first', async () => {
+        let response = await chai.request(app).get('/auction/validators');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 2);
+        assert.deepEqual(response.body.data.map(bid => [bid.eraId, bid.validatorPublicKey, String(bid.totalStakedAmount)]), [
+            [163, validatorB, '8000'],
+            [163, validatorA, '6000'],
+        ]);
+        assert.strictEqual(response.body.data[1].delegatorCount, 2);
+        assert.strictEqual(String(response.body.data[1].delegatedAmount), '1000');
+        assert.strictEqual(response.body.data[1].delegationRate, 10);
+
+        response = await chai.request(app).get('/auction/validators?eraId=163&inactive=0');
+        assert.deepEqual(response.body.data.map(bid => bid.validatorPublicKey), [validatorA]);
+
+        response = await chai.request(app).get('/auction/validators?eraId=162');
+        assert.strictEqual(response.body.itemCount, 0);
+
+        response = await chai.request(app).get('/auction/validators?eraId=latest');
+        assert.strictEqual(response.statusCode, 400);
+    });
+
+    it('Should respond with the bids of the auction along with their delegators', async () => {
+        const response = await chai.request(app).get(`/auction/bids?eraId=163&validatorPublicKey=${validatorA}`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 1);
+        assert.strictEqual(response.body.data[0].bondingPurse, 'uref-a-007');
+        assert.deepEqual(response.body.data[0].delegators.map(delegator => [delegator.delegatorPublicKey, String(delegator.stakedAmount)]), [
+            [delegatorB, '700'],
+            [delegatorA, '300'],
+        ]);
+    });
+});
+
+describe('HttpServer - eras', async () => {
+    const validatorA = '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606';
+    const validatorB = '01bb9a2ab7b2ebf52d3c7a0ba1e6fd1bd5f2a69c9d3fc1c5da7c5b7b01b3b6b7c2';
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        // Eras 1 and 2 have ended at heights 2 and 5, era 3 is the current one
+        const blockEras = [1, 1, 1, 2, 2, 2, 3];
+        for (let [blockHeight, eraId] of blockEras.entries()) {
+            await models.Block.create({
+                blockHash: `block${blockHeight}`,
+                blockHeight,
+                eraId,
+                proposer: validatorA,
+                deployCount: 2,
+                transferCount: blockHeight % 2,
+                timestamp: new Date(Date.UTC(2021, 0, 1, 0, blockHeight)),
+            });
+        }
+
+        await models.Era.create({ id: 1, endBlockHeight: 2, endTimestamp: new Date(Date.UTC(2021, 0, 1, 0, 2)), protocolVersion: '1.0.0' });
+        await models.Era.create({ id: 2, endBlockHeight: 5, endTimestamp: new Date(Date.UTC(2021, 0, 1, 0, 5)), protocolVersion: '1.0.0' });
+
+        for (let [eraId, publicKeyHex, weight] of [[2, validatorA, '3000'], [2, validatorB, '1000'], [3, validatorA, '3000']]) {
+            await models.EraValidator.create({ eraId, publicKeyHex, weight, rewards: 0, wasActive: true, hasEquivocation: false });
+        }
+
+        await models.ValidatorReward.bulkCreate([
+            { eraId: 2, publicKey: validatorA, amount: '30' },
+            { eraId: 2, publicKey: validatorB, amount: '10' },
+        ]);
+        await models.DelegatorReward.create({ eraId: 2, publicKey: '010c801c47ed20a9ec40a899ddc7b51a15db2a6c55041313eb0201ae04ee9bf932', validatorPublicKey: validatorA, amount: '6' });
+
+        app = httpServer(models);
+    });
+
+    it('Should respond with the summary of the era', async () => {
+        let response = await chai.request(app).get('/eras/2');
+        assert.strictEqual(response.statusCode, 200);
+        assert.deepEqual(response.body.data, {
+            id: 2,
+            protocolVersion: '1.0.0',
+            startBlockHeight: 3,
+            endBlockHeight: 5,
+            startTimestamp: '2021-01-01T00:02:00.000Z',
+            endTimestamp: '2021-01-01T00:05:00.000Z',
+            duration: 180000,
+            blockCount: 3,
+            deployCount: 6,
+            transferCount: 2,
+            totalRewards: '46',
+            validatorCount: 2,
+            totalWeight: '4000',
+        });
+
+        // The switch block of the previous era isn't stored
+        response = await chai.request(app).get('/eras/1');
+        assert.strictEqual(response.body.data.startBlockHeight, 0);
+        assert.strictEqual(response.body.data.duration, 120000);
+        assert.strictEqual(response.body.data.totalRewards, '0');
+        assert.strictEqual(response.body.data.totalWeight, '0');
+
+        response = await chai.request(app).get('/eras/3');
+        assert.strictEqual(response.statusCode, 404);
+    });
+
+    it('Should respond with the paginated list of the ended eras', async () => {
+        const response = await chai.request(app).get('/eras?limit=1');
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.body.itemCount, 2);
+        assert.strictEqual(response.body.pageCount, 2);
+        assert.strictEqual(response.body.data[0].id, 2);
+        assert.strictEqual(response.body.data[0].blockCount, 3);
+    });
+
+    it('Should respond with the blocks and the validators of the era', async () => {
+        let response = await chai.request(app).get('/eras/1/blocks');
+        assert.deepEqual(response.body.data.map(block => block.blockHeight), [2, 1, 0]);
+
+        response = await chai.request(app).get('/eras/3/blocks');
+        assert.deepEqual(response.body.data.map(block => block.blockHeight), [6]);
+
+        response = await chai.request(app).get('/eras/2/validators?order_by=weight');
+        assert.deepEqual(response.body.data.map(validator => validator.publicKeyHex), [validatorA, validatorB]);
+    });
+});
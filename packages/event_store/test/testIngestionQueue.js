@@ -0,0 +1,156 @@
+var assert = require('chai').assert;
+
+const IngestionQueue = require('../src/ingestionQueue');
+
+const defer = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+
+    return { promise, resolve, reject };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('IngestionQueue', async () => {
+    it('Should start tasks in order and respect the parallelism per type', async () => {
+        const queue = new IngestionQueue({ parallelism: { DeployProcessed: 2 } });
+        const started = [];
+        const tasks = {};
+
+        for (let name of ['deploy1', 'deploy2', 'deploy3', 'block1', 'block2']) {
+            tasks[name] = defer();
+            await queue.push(
+                name.startsWith('deploy') ? 'DeployProcessed' : 'BlockAdded',
+                () => {
+                    started.push(name);
+                    return tasks[name].promise;
+                }
+            );
+        }
+
+        assert.deepEqual(started, ['deploy1', 'deploy2', 'block1']);
+
+        tasks.deploy2.resolve();
+        await tick();
+        assert.deepEqual(started, ['deploy1', 'deploy2', 'block1', 'deploy3']);
+
+        tasks.block1.resolve();
+        await tick();
+        assert.deepEqual(started, ['deploy1', 'deploy2', 'block1', 'deploy3', 'block2']);
+
+        tasks.deploy1.resolve();
+        tasks.deploy3.resolve();
+        tasks.block2.resolve();
+        await queue.drain();
+    });
+
+    it('Should hand out a checkpoint only once all the preceding events are stored', async () => {
+        const stored = [];
+        const queue = new IngestionQueue({
+            defaultParallelism: 3,
+            onCheckpoint: async checkpoint => stored.push(['flush', checkpoint]),
+        });
+        const tasks = [defer(), defer(), defer(), defer()];
+
+        for (let i = 0; i < tasks.length; i++) {
+            await queue.push('DeployProcessed', async (getCheckpoint) => {
+                await tasks[i].promise;
+                stored.push([i, getCheckpoint()]);
+            }, i);
+        }
+
+        tasks[1].resolve();
+        tasks[2].resolve();
+        await tick();
+        assert.deepEqual(stored, [[1, null], [2, null]]);
+
+        tasks[0].resolve();
+        await tick();
+        assert.deepEqual(stored, [[1, null], [2, null], [0, 2]]);
+
+        tasks[3].resolve();
+        await queue.drain();
+        assert.deepEqual(stored, [[1, null], [2, null], [0, 2], [3, 3]]);
+    });
+
+    it('Should flush the checkpoint that no event could store when drained', async () => {
+        const stored = [];
+        const queue = new IngestionQueue({
+            defaultParallelism: 2,
+            onCheckpoint: async checkpoint => stored.push(['flush', checkpoint]),
+        });
+        const commit = defer();
+
+        await queue.push('DeployProcessed', async (getCheckpoint) => {
+            stored.push([0, getCheckpoint()]);
+            await commit.promise;
+        }, 0);
+        await queue.push('DeployProcessed', async (getCheckpoint) => {
+            stored.push([1, getCheckpoint()]);
+        }, 1);
+
+        // The 2nd event finishes while the 1st one is being committed
+        await tick();
+        commit.resolve();
+        await queue.drain();
+
+        assert.deepEqual(stored, [[0, 0], [1, null], ['flush', 1]]);
+    });
+
+    it('Should make the producer wait while the queue is full', async () => {
+        const queue = new IngestionQueue({ maxSize: 2 });
+        const tasks = [defer(), defer(), defer()];
+
+        await queue.push('BlockAdded', () => tasks[0].promise);
+        await queue.push('BlockAdded', () => tasks[1].promise);
+
+        let accepted = false;
+        const pushing = queue.push('BlockAdded', () => tasks[2].promise).then(() => {
+            accepted = true;
+        });
+
+        await tick();
+        assert.isFalse(accepted);
+        assert.strictEqual(queue.size, 2);
+
+        tasks[0].resolve();
+        await pushing;
+        assert.isTrue(accepted);
+
+        tasks[1].resolve();
+        tasks[2].resolve();
+        await queue.drain();
+        assert.strictEqual(queue.size, 0);
+    });
+
+    it('Should stop and not checkpoint past a failed event', async () => {
+        const queue = new IngestionQueue({ defaultParallelism: 2 });
+        const checkpoints = [];
+
+        const checkpointingTask = async (getCheckpoint) => {
+            const checkpoint = getCheckpoint();
+            if (checkpoint !== null) {
+                checkpoints.push(checkpoint);
+            }
+        };
+
+        await queue.push('DeployProcessed', checkpointingTask, 0);
+        await queue.push('DeployProcessed', async () => {
+            throw new Error('Database is gone');
+        }, 1);
+        await tick();
+
+        let error = null;
+        try {
+            await queue.push('DeployProcessed', checkpointingTask, 2);
+        } catch (err) {
+            error = err;
+        }
+
+        assert.strictEqual(error.message, 'Database is gone');
+        assert.deepEqual(checkpoints, [0]);
+    });
+});
@@ -0,0 +1,140 @@
+var assert = require('chai').assert;
+var models = require('../src/models/index');
+const Storage = require('../src/storage');
+const Reindexer = require('../src/reindexer');
+const { blockHash, createBlockAddedEvent, createDeployProcessedEvent } = require('./mockData');
+
+/**
+ * Stores the block at the height with its deploy, that makes a transfer and a bid of the validator
+ * 01aa with the given delegators
+ */
+const storeBlock = async (storage, height, delegators = {}) => {
+    const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+    const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+    const deployHash = `deploy${height}`;
+
+    const deployEvent = createDeployProcessedEvent({
+        deployHash,
+        blockHash: blockHash(height),
+        transforms: [
+            {
+                key: `transfer-${deployHash}`,
+                transform: {
+                    WriteTransfer: {
+                        deploy_hash: deployHash,
+                        from: 'account-hash-8338671be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef',
+                        to: 'account-hash-bbbbbb1be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef',
+                        source: 'uref-f8f32523da86b93b40adee95a05c8b7229887e0d345641a914b1c09d5052563b-007',
+                        target: 'uref-ab9a01563bfd412cd63f03fa99de8c1a4bd573a79e0697229e1844fcf7bb9e04-004',
+                        amount: '1000000000',
+                        gas: '0',
+                        id: null,
+                    },
+                },
+            },
+            {
+                key: `bid-${deployHash}`,
+                transform: {
+                    WriteBid: {
+                        validator_public_key: '01aa',
+                        bonding_purse: 'uref-bonding-purse',
+                        staked_amount: '5000000000',
+                        delegation_rate: 10,
+                        inactive: false,
+                        vesting_schedule: null,
+                        delegators,
+                    },
+                },
+            },
+        ],
+        transfers: [`transfer-${deployHash}`],
+    });
+    const blockEvent = createBlockAddedEvent({ height, eraId: height, deployHashes: [deployHash] });
+
+    await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployProcessed: deployEvent }));
+    await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ BlockAdded: blockEvent }));
+};
+
+describe('Reindexer', async () => {
+    let storage;
+
+    beforeEach(async () => {
+        await models.sequelize.sync({ force: true, logging: false });
+        storage = new Storage(models);
+
+        await storeBlock(storage, 1);
+        await storeBlock(storage, 2);
+    });
+
+    it('Should rebuild only the selected tables', async () => {
+        await models.Bid.destroy({ where: {} });
+
+        const stats = await new Reindexer(storage, { tables: ['Bid'] }).run();
+
+        assert.deepEqual(stats, { blocks: 2, deploys: 2 });
+        assert.strictEqual(await models.Bid.count(), 2);
+        assert.strictEqual(await models.Transfer.count(), 2);
+        assert.strictEqual(await models.Deploy.count(), 2);
+        assert.strictEqual(await models.Block.count(), 2);
+        assert.isNull(storage.writableModels);
+    });
+
+    it('Should replace the rows of all the tables without duplicating them', async () => {
+        await models.Transfer.update({ amount: '1' }, { where: {} });
+
+        await new Reindexer(storage, { chunkSize: 1 }).run();
+
+        const transfers = await models.Transfer.findAll();
+        assert.deepEqual(transfers.map(transfer => transfer.amount), ['1000000000', '1000000000']);
+        assert.strictEqual(await models.Bid.count(), 2);
+        assert.strictEqual(await models.Block.count(), 2);
+    });
+
+    it('Should only replay the blocks in the requested height or era range', async () => {
+        await models.Bid.destroy({ where: {} });
+
+        assert.deepEqual(await new Reindexer(storage, { tables: ['Bid'] }).run({ fromHeight: 2 }), { blocks: 1, deploys: 1 });
+        assert.deepEqual((await models.Bid.findAll()).map(bid => bid.deployHash), ['deploy2']);
+
+        assert.deepEqual(await new Reindexer(storage, { tables: ['Bid'] }).run({ fromEra: 1, toEra: 1 }), { blocks: 1, deploys: 1 });
+        assert.strictEqual(await models.Bid.count(), 2);
+    });
+
+    it('Should rebuild the delegation history from the first block, in order', async () => {
+        const delegators = (stakedAmount) => ({
+            '01dd': {
+                delegator_public_key: '01dd',
+                staked_amount: stakedAmount,
+                bonding_purse: 'uref-delegator-purse',
+                validator_public_key: '01aa',
+            },
+        });
+        await storeBlock(storage, 3, delegators('100'));
+        await storeBlock(storage, 4, delegators('300'));
+
+        await new Reindexer(storage, { tables: ['DelegationHistory'] }).run();
+
+        const history = await models.DelegationHistory.findAll({ order: [['deployHash', 'ASC']] });
+        assert.deepEqual(
+            history.map(change => [change.deployHash, String(change.previousStakedAmount), String(change.stakedAmount)]),
+            [['deploy3', '0', '100'], ['deploy4', '100', '300']]
+        );
+        const delegations = await models.Delegation.findAll();
+        assert.deepEqual(delegations.map(delegation => [delegation.deployHash, String(delegation.stakedAmount)]), [['deploy4', '300']]);
+
+        await new Reindexer(storage).run({ fromHeight: 4 });
+        assert.strictEqual(await models.DelegationHistory.count(), 2);
+
+        let error = null;
+        try {
+            await new Reindexer(storage, { tables: ['Delegation'] }).run({ fromHeight: 4 });
+        } catch (err) {
+            error = err;
+        }
+        assert.match(error.message, /can only be rebuilt from all the stored blocks/);
+    });
+
+    it('Should reject unknown tables', async () => {
+        assert.throws(() => new Reindexer(storage, { tables: ['Bids'] }), /Unknown tables: Bids/);
+    });
+});
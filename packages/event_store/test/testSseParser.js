@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+var assert = require('chai').assert;
+
+const SseParser = require('../src/sseParser');
+
+const recordedEventStream = fs.readFileSync(path.join(__dirname, 'testData', 'recordedEventStream.txt'));
+
+const parseChunks = (chunks) => {
+    return new Promise((resolve, reject) => {
+        const parser = new SseParser();
+        const records = [];
+
+        parser.on('data', record => records.push(record));
+        parser.on('error', reject);
+        parser.on('end', () => resolve({ parser, records }));
+
+        for (let chunk of chunks) {
+            parser.write(chunk);
+        }
+        parser.end();
+    });
+};
+
+const splitIntoChunks = (buffer, size) => {
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.slice(i, i + size));
+    }
+
+    return chunks;
+};
+
+describe('SseParser', async () => {
+    it('Should decode a recorded node stream into id-bound records', async () => {
+        const { records } = await parseChunks([recordedEventStream]);
+
+        assert.deepEqual(records.map(record => record.id), [null, '45001', '45002', '45003', '45004']);
+        assert.deepEqual(JSON.parse(records[0].data), { ApiVersion: '1.2.0' });
+        assert.strictEqual(JSON.parse(records[1].data).BlockAdded.block.header.height, 45765);
+        assert.strictEqual(
+            JSON.parse(records[2].data).DeployProcessed.deploy_hash,
+            '13cf4caf2e77334890e5c5375bf67d57304588acce9dec4da8564896c437cff6'
+        );
+        assert.strictEqual(JSON.parse(records[3].data).FinalitySignature.era_id, 416);
+        assert.strictEqual(JSON.parse(records[4].data).BlockAdded.block.header.height, 46633);
+    });
+
+    it('Should not depend on how the recorded stream is chunked', async () => {
+        const { records: expected } = await parseChunks([recordedEventStream]);
+
+        for (let size of [1, 2, 7, 64, 1000]) {
+            const { records } = await parseChunks(splitIntoChunks(recordedEventStream, size));
+            assert.deepEqual(records, expected, `Chunk size ${size}`);
+        }
+    });
+
+    it('Should handle CRLF and CR line endings, including CRLF split between chunks', async () => {
+        const { records: expected } = await parseChunks([recordedEventStream]);
+        const text = recordedEventStream.toString();
+
+        const crlf = Buffer.from(text.replace(/\n/g, '\r\n'));
+        for (let size of [1, 3, 1000]) {
+            const { records } = await parseChunks(splitIntoChunks(crlf, size));
+            assert.deepEqual(records, expected, `CRLF, chunk size ${size}`);
+        }
+
+        const { records } = await parseChunks([text.replace(/\n/g, '\r')]);
+        assert.deepEqual(records, expected);
+    });
+
+    it('Should keep multi-byte characters split between chunks intact', async () => {
+        const { records } = await parseChunks(splitIntoChunks(Buffer.from('data:{"name":"zażółć"}\n\n'), 1));
+
+        assert.deepEqual(JSON.parse(records[0].data), { name: 'zażółć' });
+    });
+
+    it('Should join multi-line data fields', async () => {
+        const { records } = await parseChunks(['data:{"Step":\ndata: {"era_id":1}}\nid:7\n\n']);
+
+        assert.strictEqual(records.length, 1);
+        assert.strictEqual(records[0].data, '{"Step":\n{"era_id":1}}');
+        assert.deepEqual(JSON.parse(records[0].data), { Step: { era_id: 1 } });
+    });
+
+    it('Should bind the id to its own event regardless of the field order', async () => {
+        const { records } = await parseChunks([
+            'id:1\ndata:first\n\n',
+            'data:second\nid:2\n\n',
+            'data:third\n\n',
+        ]);
+
+        assert.deepEqual(records.map(record => [record.id, record.data]), [
+            ['1', 'first'],
+            ['2', 'second'],
+            [null, 'third'],
+        ]);
+    });
+
+    it('Should handle comments, event types, retry and unknown fields', async () => {
+        const { parser, records } = await parseChunks([
+            ': keepalive\n\n',
+            'event:custom\nretry:2500\nfoo:bar\ndata:payload\nid:3\n\n',
+            'retry:not-a-number\ndata\n\n',
+        ]);
+
+        assert.deepEqual(records, [
+            { id: '3', event: 'custom', data: 'payload' },
+            { id: null, event: 'message', data: '' },
+        ]);
+        assert.strictEqual(parser.reconnectionTime, 2500);
+        assert.strictEqual(parser.lastEventId, '3');
+    });
+
+    it('Should skip the BOM, events without data and an unterminated event at the end of the stream', async () => {
+        const { records } = await parseChunks(['\uFEFFid:1\n\n', 'data:complete\n\n', 'data:incomplete\nid:2\n']);
+
+        assert.deepEqual(records, [{ id: null, event: 'message', data: 'complete' }]);
+    });
+});
@@ -4,6 +4,33 @@ const Storage = require('../src/storage');
 const { deployProcessedEvent2 } = require('./mockData');
 const data = require('./mockData');
 
+// deployProcessedEvent1 as the call of the delegate entry point, confirmed by the bid it writes
+const delegateProcessedEvent = {
+    ...data.deployProcessedEvent1,
+    execution_result: {
+        Success: {
+            ...data.deployProcessedEvent1.execution_result.Success,
+            effect: {
+                ...data.deployProcessedEvent1.execution_result.Success.effect,
+                transforms: data.deployProcessedEvent1.execution_result.Success.effect.transforms.concat([{
+                    key: 'bid-2a1f98a5b8074cdbbd46847766b29486fff48e186c65bb12a2dc6bab5190caf8',
+                    transform: {
+                        WriteBid: {
+                            validator_public_key: '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606',
+                            bonding_purse: 'uref-bonding-purse',
+                            staked_amount: '5000000000',
+                            delegation_rate: 10,
+                            inactive: false,
+                            vesting_schedule: null,
+                            delegators: {},
+                        },
+                    },
+                }]),
+            },
+        },
+    },
+};
+
 var storge = null;
 
 describe('Storage', async () => {
@@ -68,4 +95,451 @@ describe('Storage', async () => {
         let deploy3 = await storage.findDeployByHash(deployEvent3.deploy_hash);
         assert.isNull(deploy3.blockHash);
     });
+
+    it('Should store an event with its checkpoint in one transaction', async () => {
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        const eventStream = await storage.findEventStreamByPathOrCreate('events');
+
+        await storage.onStreamEvent(sourceNode.id, apiVersion, eventStream.id, '{"DeployAccepted":{"hash":"deploy1"}}', () => 1);
+
+        assert.strictEqual(await models.RawDeployAcceptedEvent.count(), 1);
+        const lastEventId = await storage.getLastEventId(sourceNode.id, apiVersion.id, eventStream.id);
+        assert.strictEqual(parseInt(lastEventId.id), 1);
+    });
+
+    it('Should roll back the raw event and the checkpoint when a derived write fails', async () => {
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        const eventStream = await storage.findEventStreamByPathOrCreate('events');
+
+        storage.onDeployProcessedEvent = async () => {
+            throw new Error('Derived write failed');
+        };
+
+        let error = null;
+        try {
+            await storage.onStreamEvent(sourceNode.id, apiVersion, eventStream.id, '{"DeployProcessed":{"deploy_hash":"deploy1"}}', () => 1);
+        } catch (err) {
+            error = err;
+        }
+
+        assert.strictEqual(error.message, 'Derived write failed');
+        assert.strictEqual(await models.RawDeployProcessedEvent.count(), 0);
+        assert.isNull(await storage.getLastEventId(sourceNode.id, apiVersion.id, eventStream.id));
+    });
+
+    it('Should run the transaction of an event again when it was rolled back on a deadlock', async () => {
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        const eventStream = await storage.findEventStreamByPathOrCreate('events');
+
+        let attempts = 0;
+        storage.onDeployProcessedEvent = async () => {
+            if (++attempts === 1) {
+                const deadlock = new Error('Deadlock found when trying to get lock; try restarting transaction');
+                deadlock.code = 'ER_LOCK_DEADLOCK';
+                throw new models.Sequelize.DatabaseError(deadlock);
+            }
+        };
+
+        await storage.onStreamEvent(sourceNode.id, apiVersion, eventStream.id, '{"DeployProcessed":{"deploy_hash":"deploy1"}}', () => 1);
+
+        assert.strictEqual(attempts, 2);
+        assert.strictEqual(await models.RawDeployProcessedEvent.count(), 1);
+        const lastEventId = await storage.getLastEventId(sourceNode.id, apiVersion.id, eventStream.id);
+        assert.strictEqual(parseInt(lastEventId.id), 1);
+    });
+
+    it('Should handle Fault, DeployExpired and Shutdown events', async () => {
+        const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+
+        for (let event of [data.faultEvent1, data.deployExpiredEvent1, data.shutdownEvent]) {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(event));
+        }
+
+        const faults = await storage.findFaults({ publicKey: data.faultEvent1.Fault.public_key }, 10, 0);
+        assert.strictEqual(faults.count, 1);
+        assert.strictEqual(faults.rows[0].eraId, data.faultEvent1.Fault.era_id);
+        assert.strictEqual(faults.rows[0].timestamp.toISOString(), data.faultEvent1.Fault.timestamp);
+
+        assert.isNotNull(await storage.findExpiredDeployByHash(data.deployExpiredEvent1.DeployExpired.deploy_hash));
+
+        const lifecycleEvents = await storage.findNodeLifecycleEvents({ sourceNodeId: sourceNode.id }, 10, 0);
+        assert.strictEqual(lifecycleEvents.count, 1);
+        assert.strictEqual(lifecycleEvents.rows[0].eventType, 'Shutdown');
+
+        assert.strictEqual(await models.RawUnrecognizedEvent.count(), 0);
+    });
+
+    describe('Era rewards', async () => {
+        let sourceNode, apiVersion, rpcRequests;
+
+        const storeEvents = async (events) => {
+            for (let event of events) {
+                await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(event));
+            }
+        };
+
+        const createCasperClient = (getEraInfo) => ({
+            getEraInfoBySwitchBlockHeight: async (height) => {
+                rpcRequests.push(height);
+                return getEraInfo();
+            },
+        });
+
+        beforeEach(async () => {
+            sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+            apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+            rpcRequests = [];
+        });
+
+        const assertRewards = async () => {
+            const validatorRewards = await models.ValidatorReward.findAll();
+            assert.strictEqual(validatorRewards.length, 1);
+            assert.strictEqual(validatorRewards[0].eraId, 163);
+            assert.strictEqual(String(validatorRewards[0].amount), '1000000000');
+            assert.strictEqual(validatorRewards[0].timestamp.toISOString(), '2020-10-08T12:14:35.808Z');
+
+            const delegatorRewards = await models.DelegatorReward.findAll();
+            assert.strictEqual(delegatorRewards.length, 1);
+            assert.strictEqual(String(delegatorRewards[0].amount), '250000000');
+            assert.strictEqual(delegatorRewards[0].timestamp.toISOString(), '2020-10-08T12:14:35.808Z');
+        };
+
+        it('Should store the rewards from the Step event without asking the node', async () => {
+            storage = new Storage(models, createCasperClient(() => {
+                throw new Error('RPC should not be called');
+            }));
+
+            await storeEvents([data.stepEvent1, data.switchBlockAddedEvent1]);
+
+            assert.deepEqual(rpcRequests, []);
+            await assertRewards();
+        });
+
+        it('Should take the timestamp of the rewards from the switch block stored before the Step event', async () => {
+            storage = new Storage(models);
+
+            await storeEvents([data.switchBlockAddedEvent1, data.stepEvent1]);
+
+            await assertRewards();
+        });
+
+        it('Should fall back to the node when the switch block comes before the Step event', async () => {
+            storage = new Storage(models, createCasperClient(() => ({
+                era_id: 163,
+                stored_value: { EraInfo: data.stepEvent1.Step.execution_effect.transforms[0].transform.WriteEraInfo },
+            })));
+
+            await storeEvents([data.switchBlockAddedEvent1, data.stepEvent1]);
+
+            assert.deepEqual(rpcRequests, [1803]);
+            await assertRewards();
+        });
+
+        it('Should store the switch block even if the node can not be reached', async () => {
+            storage = new Storage(models, createCasperClient(() => {
+                throw new Error('connect ECONNREFUSED');
+            }));
+
+            await storeEvents([data.switchBlockAddedEvent1]);
+
+            assert.isNotNull(await storage.findBlockByHeight(1803));
+            assert.strictEqual(await models.ValidatorReward.count(), 0);
+        });
+    });
+
+    describe('Deploy session details', async () => {
+        let sourceNode, apiVersion;
+
+        const delegateDeploy = {
+            ...data.deployAcceptedEvent1.DeployAccepted,
+            payment: {
+                ModuleBytes: {
+                    module_bytes: '',
+                    args: [['amount', { cl_type: 'U512', bytes: '0400f90295', parsed: '2500000000' }]],
+                },
+            },
+            session: {
+                StoredContractByHash: {
+                    hash: 'ccb576d6ce6dec84a551e48f0d0b7af89ddba44c7390b690036257a04a3ae9ea',
+                    entry_point: 'delegate',
+                    args: [
+                        ['amount', { cl_type: 'U512', bytes: '0500743ba40b', parsed: '50000000000' }],
+                        ['validator', { cl_type: 'PublicKey', bytes: '01d28e8a' }],
+                    ],
+                },
+            },
+        };
+
+        const assertDelegateDeploy = async () => {
+            const deploy = await storage.findDeployByHash(data.deployProcessedEvent1.deploy_hash);
+            assert.strictEqual(deploy.sessionType, 'StoredContractByHash');
+            assert.strictEqual(deploy.contractHash, delegateDeploy.session.StoredContractByHash.hash);
+            assert.isNull(deploy.contractName);
+            assert.strictEqual(deploy.entryPoint, 'delegate');
+            assert.strictEqual(deploy.type, 'delegate');
+            assert.deepEqual(deploy.sessionArgs, {
+                amount: '50000000000',
+                validator: { cl_type: 'PublicKey', bytes: '01d28e8a' },
+            });
+            assert.strictEqual(String(deploy.paymentAmount), '2500000000');
+        };
+
+        beforeEach(async () => {
+            sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+            apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+        });
+
+        it('Should take the session from the DeployAccepted event', async () => {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployAccepted: delegateDeploy }));
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployProcessed: delegateProcessedEvent }));
+
+            await assertDelegateDeploy();
+        });
+
+        it('Should fill in the session when the deploy is accepted after being processed', async () => {
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployProcessed: delegateProcessedEvent }));
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployAccepted: delegateDeploy }));
+
+            await assertDelegateDeploy();
+        });
+
+        it('Should request the session from the node when the DeployAccepted event is missing', async () => {
+            const requestedDeploys = [];
+            storage = new Storage(models, {
+                getDeploy: async (deployHash) => {
+                    requestedDeploys.push(deployHash);
+                    return { deploy: delegateDeploy, execution_results: [] };
+                },
+            });
+
+            await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify({ DeployProcessed: delegateProcessedEvent }));
+
+            assert.deepEqual(requestedDeploys, [data.deployProcessedEvent1.deploy_hash]);
+            await assertDelegateDeploy();
+        });
+
+        it('Should request the session from the node before the transaction of a stream event opens', async () => {
+            let inTransaction = false;
+            const requestedInTransaction = [];
+            storage = new Storage(models, {
+                getDeploy: async () => {
+                    requestedInTransaction.push(inTransaction);
+                    return { deploy: delegateDeploy, execution_results: [] };
+                },
+            });
+            const transaction = storage.transaction.bind(storage);
+            storage.transaction = (callback) => transaction(async (t) => {
+                inTransaction = true;
+                try {
+                    return await callback(t);
+                } finally {
+                    inTransaction = false;
+                }
+            });
+            const eventStream = await storage.findEventStreamByPathOrCreate('events');
+
+            await storage.onStreamEvent(sourceNode.id, apiVersion, eventStream.id, JSON.stringify({ DeployProcessed: delegateProcessedEvent }));
+
+            assert.deepEqual(requestedInTransaction, [false]);
+            await assertDelegateDeploy();
+        });
+    });
+
+    describe('Account ledger', async () => {
+        let sourceNode, apiVersion;
+
+        // Account hash of the account of the mocked deploys, that also gets a delegator reward in era 163
+        const accountHash = '5b04d7632e8ac2d9f8d6595249a6cda142ee60a77a1e00dea091584b9a14fff8';
+
+        const acceptedDeploy = (deployHash, entryPoint) => ({
+            DeployAccepted: {
+                ...data.deployAcceptedEvent1.DeployAccepted,
+                hash: deployHash,
+                session: {
+                    StoredContractByHash: {
+                        hash: 'ccb576d6ce6dec84a551e48f0d0b7af89ddba44c7390b690036257a04a3ae9ea',
+                        entry_point: entryPoint,
+                        args: [
+                            ['amount', { cl_type: 'U512', bytes: '0500743ba40b', parsed: '50000000000' }],
+                            ['validator', { cl_type: 'PublicKey', bytes: '01d28e8a' }],
+                        ],
+                    },
+                },
+            },
+        });
+
+        const undelegateDeployHash = 'undelegate_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3';
+        const undelegateDeploy = {
+            DeployProcessed: {
+                ...data.deployProcessedEvent1,
+                deploy_hash: undelegateDeployHash,
+                execution_result: {
+                    Success: {
+                        effect: {
+                            operations: [],
+                            transforms: [{
+                                key: 'withdraw-2a1f98a5b8074cdbbd46847766b29486fff48e186c65bb12a2dc6bab5190caf8',
+                                transform: {
+                                    WriteWithdraw: [{
+                                        bonding_purse: 'uref-bonding-purse',
+                                        validator_public_key: '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606',
+                                        unbonder_public_key: data.deployProcessedEvent1.account,
+                                        era_of_creation: 156,
+                                        amount: '20000000000',
+                                    }],
+                                },
+                            }],
+                        },
+                        transfers: [],
+                        cost: '7',
+                    },
+                },
+            },
+        };
+
+        const storeEvents = async (events) => {
+            for (let event of events) {
+                await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(event));
+            }
+        };
+
+        beforeEach(async () => {
+            sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+            apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+
+            // The ledger opens with the genesis balances
+            await models.GenesisAccount.bulkCreate([
+                { publicKey: data.deployProcessedEvent1.account, accountHash, type: 'account', balance: '100000000000' },
+                { publicKey: '01genesis', accountHash: '8338671be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef', type: 'account', balance: '2000000000' },
+            ]);
+            await storeEvents([data.genesisBlockAddedEvent]);
+        });
+
+        it('Should not report the balances without the genesis block', async () => {
+            await models.Block.destroy({ where: { blockHeight: 0 } });
+
+            assert.isNull(await storage.findAccountBalance(accountHash));
+            assert.isNull(await storage.findAccountBalanceHistory(
+                accountHash,
+                new Date('2020-10-08T11:00:00.000Z'),
+                new Date('2020-10-08T14:00:00.000Z'),
+                'hour'
+            ));
+        });
+
+        it('Should record the transfers, the cost and the stake of a deploy', async () => {
+            await storeEvents([
+                acceptedDeploy(data.deployProcessedEvent1.deploy_hash, 'delegate'),
+                { DeployProcessed: delegateProcessedEvent },
+            ]);
+
+            assert.deepEqual(await storage.findAccountBalance(accountHash), {
+                liquid: '49999999989',
+                staked: '50000000000',
+                unbonding: '0',
+                total: '99999999989',
+            });
+            assert.deepEqual(await storage.findAccountBalance('8338671be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef'), {
+                liquid: '1000000000',
+                staked: '0',
+                unbonding: '0',
+                total: '1000000000',
+            });
+            assert.strictEqual(
+                (await storage.findAccountBalance('bbbbbb1be1687c522f6ac74c67867a7a042b3bd5c1d00d5c66a71c87f85323ef')).liquid,
+                '1000000000'
+            );
+        });
+
+        it('Should add the rewards to the stake and pay out the unbonded stake after the unbonding delay', async () => {
+            storage.unbondingDelay = 163 - 156;
+
+            await storeEvents([
+                acceptedDeploy(data.deployProcessedEvent1.deploy_hash, 'delegate'),
+                { DeployProcessed: delegateProcessedEvent },
+                acceptedDeploy(undelegateDeployHash, 'undelegate'),
+                undelegateDeploy,
+            ]);
+
+            assert.deepEqual(await storage.findAccountBalance(accountHash), {
+                liquid: '49999999982',
+                staked: '0',
+                unbonding: '50000000000',
+                total: '99999999982',
+            });
+
+            await storeEvents([data.stepEvent1, data.switchBlockAddedEvent1]);
+
+            assert.deepEqual(await storage.findAccountBalance(accountHash), {
+                liquid: '99999999982',
+                staked: '250000000',
+                unbonding: '0',
+                total: '100249999982',
+            });
+
+            const reward = await models.AccountLedgerEntry.findOne({ where: { accountHash, kind: 'reward' } });
+            assert.strictEqual(reward.timestamp.toISOString(), '2020-10-08T12:14:35.808Z');
+        });
+
+        it('Should report the balance at the end of each interval', async () => {
+            await storeEvents([
+                { DeployProcessed: { ...data.deployProcessedEvent1, timestamp: '2020-10-08T12:05:00.000Z' } },
+                data.stepEvent1,
+                data.switchBlockAddedEvent1,
+            ]);
+
+            const history = await storage.findAccountBalanceHistory(
+                accountHash,
+                new Date('2020-10-08T11:00:00.000Z'),
+                new Date('2020-10-08T14:00:00.000Z'),
+                'hour'
+            );
+
+            assert.deepEqual(history.map(point => [point.from.toISOString(), point.total]), [
+                ['2020-10-08T11:00:00.000Z', '100000000000'],
+                ['2020-10-08T12:00:00.000Z', '100249999989'],
+                ['2020-10-08T13:00:00.000Z', '100249999989'],
+            ]);
+        });
+    });
+
+    describe('Accounts', async () => {
+        const publicKey = data.deployProcessedEvent1.account;
+        const accountHash = '5b04d7632e8ac2d9f8d6595249a6cda142ee60a77a1e00dea091584b9a14fff8';
+
+        it('Should register the account hashes of the public keys seen in the events', async () => {
+            const sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+            const apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+
+            for (let event of [
+                { DeployProcessed: data.deployProcessedEvent1 },
+                { DeployProcessed: data.deployProcessedEvent2 },
+                data.stepEvent1,
+            ]) {
+                await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(event));
+            }
+
+            const accounts = await models.Account.findAll({ order: [['publicKey', 'ASC']] });
+            assert.deepEqual(accounts.map(account => account.publicKey), [
+                publicKey,
+                '01d28e8ac5e5a02512c134fecb5cde43755b59d4616e109a4afd6c4f908bf82606',
+            ]);
+            assert.strictEqual(accounts[0].accountHash, accountHash);
+        });
+
+        it('Should find the account by the public key or the account hash', async () => {
+            assert.deepEqual(await storage.findAccountById(publicKey.toUpperCase()), { accountHash, publicKey });
+            assert.deepEqual(await storage.findAccountById(accountHash), { accountHash, publicKey: null });
+
+            await storage.storeAccounts([publicKey]);
+
+            assert.deepEqual(await storage.findAccountById(accountHash), { accountHash, publicKey });
+            assert.deepEqual(await storage.findAccountById(`account-hash-${accountHash}`), { accountHash, publicKey });
+            assert.isNull(await storage.findAccountById('01bb'));
+        });
+    });
 });
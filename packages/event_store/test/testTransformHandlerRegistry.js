@@ -0,0 +1,108 @@
+var assert = require('chai').assert;
+const path = require('path');
+var models = require('../src/models/index');
+const Storage = require('../src/storage');
+const Reindexer = require('../src/reindexer');
+
+const deployProcessedEvent = {
+    DeployProcessed: {
+        deploy_hash: 'deploy1',
+        account: '01bb',
+        timestamp: '2021-04-01T09:59:00.000Z',
+        block_hash: 'block1_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3',
+        execution_result: {
+            Success: {
+                effect: {
+                    operations: [],
+                    transforms: [
+                        {
+                            key: 'uref-f8f32523da86b93b40adee95a05c8b7229887e0d345641a914b1c09d5052563b-007',
+                            transform: {
+                                WriteCLValue: {
+                                    cl_type: 'U512',
+                                    bytes: '0400ca9a3b',
+                                    parsed: '1000000000',
+                                },
+                            },
+                        },
+                        {
+                            key: 'hash-8cf5e4acf51f54eb59291599187838dc3bc234089c46fc6ca8ad17e762ae4401',
+                            transform: 'Identity',
+                        },
+                        {
+                            key: 'balance-98d945f5324f865243b7c02c0417ab6eac361c5c56602fd42ced834a1ba201b6',
+                            transform: {
+                                AddUInt512: '100000000',
+                            },
+                        },
+                    ],
+                },
+                transfers: [],
+                cost: '10000',
+            },
+        },
+    },
+};
+
+const blockAddedEvent = {
+    BlockAdded: {
+        block_hash: deployProcessedEvent.DeployProcessed.block_hash,
+        block: {
+            hash: deployProcessedEvent.DeployProcessed.block_hash,
+            header: {
+                parent_hash: 'block0_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3',
+                state_root_hash: 'state_0fb356b6d76d2f64a9500ed2cf1d3062ffcf03bb837003c8208602c5d3',
+                era_end: null,
+                timestamp: '2021-04-01T10:00:00.000Z',
+                era_id: 1,
+                height: 1,
+                protocol_version: '1.0.0',
+            },
+            body: {
+                proposer: '01aa',
+                deploy_hashes: ['deploy1'],
+                transfer_hashes: [],
+            },
+        },
+    },
+};
+
+describe('TransformHandlerRegistry', async () => {
+    let storage, sourceNode, apiVersion;
+
+    beforeEach(async () => {
+        storage = new Storage(models);
+        storage.transformHandlers.loadDirectory(path.join(__dirname, 'testData', 'transformHandlers'));
+
+        await models.sequelize.sync({ force: true, logging: false });
+
+        sourceNode = await storage.findSourceNodeByAddressOrCreate('localhost');
+        apiVersion = await storage.findApiVersionByVersionOrCreate('1.0.0');
+    });
+
+    it('Should pass the transforms to the handlers registered for their type', async () => {
+        const addedAmounts = [];
+        storage.transformHandlers.register('AddUInt512', async ({ key, value, deploy }) => {
+            addedAmounts.push([deploy.deploy_hash, key.substring(0, 8), value]);
+        });
+
+        await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(deployProcessedEvent));
+
+        const writes = await models.CLValueWrite.findAll();
+        assert.strictEqual(writes.length, 1);
+        assert.strictEqual(writes[0].deployHash, 'deploy1');
+        assert.strictEqual(writes[0].clType, '"U512"');
+        assert.deepEqual(addedAmounts, [['deploy1', 'balance-', '100000000']]);
+    });
+
+    it('Should rebuild the models of the custom handlers', async () => {
+        await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(deployProcessedEvent));
+        await storage.onEvent(sourceNode.id, apiVersion, JSON.stringify(blockAddedEvent));
+        await models.CLValueWrite.destroy({ where: {} });
+
+        const stats = await new Reindexer(storage, { tables: ['CLValueWrite'] }).run();
+
+        assert.deepEqual(stats, { blocks: 1, deploys: 1 });
+        assert.strictEqual(await models.CLValueWrite.count(), 1);
+    });
+});